@@ -0,0 +1,13 @@
+import 'dotenv/config';
+import { TicketManager } from '../src/utils/ticketUtils.js';
+
+// Add the index timestamp to tickets created before tickets carried one
+async function main() {
+    const count = await TicketManager.backfillTimestamps();
+    console.info(`Backfilled ${count} ticket(s)`);
+}
+
+main().catch(error => {
+    console.error('Error backfilling ticket timestamps:', error);
+    process.exit(1);
+});
@@ -0,0 +1,28 @@
+import 'dotenv/config';
+import { commandDefinitions } from '../src/lambda/discordCommands.js';
+import { deployCommands } from '../src/utils/discordCommandUtils.js';
+
+// Usage: npm run deploy:discord-commands -- [--guild <guild_id>] [--dry-run]
+async function main() {
+    const args = process.argv.slice(2);
+    const guildIndex = args.indexOf('--guild');
+    const guildId = guildIndex >= 0 ? args[guildIndex + 1] : undefined;
+    const dryRun = args.includes('--dry-run');
+
+    if (guildIndex >= 0 && !guildId) {
+        throw new Error('--guild requires a guild ID');
+    }
+
+    const result = await deployCommands(commandDefinitions, { guildId, dryRun });
+
+    console.info(`${dryRun ? 'Planned changes' : 'Deployed commands'} (${result.scope}):`);
+    console.info(`  Created:   ${result.created.join(', ') || '-'}`);
+    console.info(`  Updated:   ${result.updated.join(', ') || '-'}`);
+    console.info(`  Deleted:   ${result.deleted.join(', ') || '-'}`);
+    console.info(`  Unchanged: ${result.unchanged.join(', ') || '-'}`);
+}
+
+main().catch(error => {
+    console.error('Error deploying Discord commands:', error);
+    process.exit(1);
+});
@@ -0,0 +1,9 @@
+import 'dotenv/config';
+import { initializeBot } from '../src/lambda/discordBot.js';
+
+// Long-running gateway connection for message events (DMs, !stats).
+// Slash commands are served by the HTTP interactions endpoint instead.
+initializeBot().catch(error => {
+    console.error('Error starting Discord gateway:', error);
+    process.exit(1);
+});
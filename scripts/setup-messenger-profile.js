@@ -0,0 +1,13 @@
+import 'dotenv/config';
+import { configureMessengerProfile } from '../src/utils/metaMessagingUtils.js';
+
+// Configure the Messenger Get Started button, greeting and persistent menu
+async function main() {
+    await configureMessengerProfile();
+    console.info('Messenger profile configured');
+}
+
+main().catch(error => {
+    console.error('Error configuring Messenger profile:', error);
+    process.exit(1);
+});
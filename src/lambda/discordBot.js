@@ -1,7 +1,47 @@
-import { Client, GatewayIntentBits, Partials, Events } from 'discord.js';
+import {
+    Client,
+    GatewayIntentBits,
+    Partials,
+    Events,
+    InteractionType,
+    InteractionResponseType,
+    MessageFlags,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    LabelBuilder,
+    ModalBuilder,
+    StringSelectMenuBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    PermissionFlagsBits
+} from 'discord.js';
 import { DynamoDBUtils } from '../utils/dynamoDBUtils.js';
 import Analytics from '../utils/analyticsUtils.js';
-import { TicketManager } from '../utils/ticketUtils.js';
+import { TicketManager, getTicketCategories } from '../utils/ticketUtils.js';
+import { ConversationManager, formatConversationReply } from '../utils/conversationUtils.js';
+import '../utils/conversationFlows.js';
+import { HttpInteraction } from '../utils/discordInteractionUtils.js';
+import { getHeader, getRawBody, verifyDiscordSignature, rejectRequest } from '../utils/webhookAuthUtils.js';
+import { IdempotencyStore } from '../utils/idempotencyUtils.js';
+import {
+    isTicketChannelsEnabled,
+    isStaffMember,
+    createTicketChannel,
+    getTicketIdForChannel
+} from '../utils/discordTicketUtils.js';
+import { ingestDiscordAttachments } from '../utils/mediaUtils.js';
+import { formatSlaSummary } from '../utils/slaUtils.js';
+import { isResolvedStatus, formatStatus, formatTimeline } from '../utils/ticketLifecycleUtils.js';
+import {
+    getAutomodConfig,
+    findViolation,
+    getEscalationStep,
+    recordViolation,
+    logModerationAction,
+    parseDuration
+} from '../utils/moderationUtils.js';
+import workQueue, { registerProcessor } from '../utils/queueUtils.js';
 
 /**
  * @typedef {import('../types/monitoring.js').InteractionStats} InteractionStats
@@ -9,17 +49,49 @@ import { TicketManager } from '../utils/ticketUtils.js';
  * @typedef {import('../types.js').LambdaEvent} LambdaEvent
  * @typedef {import('../types.js').LambdaResponse} LambdaResponse
  * @typedef {import('../types.js').TicketData} TicketData
+ * @typedef {import('../types.js').TicketActor} TicketActor
  */
 
+// GuildMembers and MessageContent are privileged intents and must be
+// enabled for the application in the developer portal
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.GuildMessageReactions,
+        GatewayIntentBits.GuildMembers,
+        GatewayIntentBits.DirectMessages,
         GatewayIntentBits.MessageContent
     ],
-    partials: [Partials.Channel, Partials.Message]
+    // Partials deliver events for messages, reactions and members that are
+    // not in the cache, e.g. reactions to messages sent before a restart
+    partials: [Partials.Channel, Partials.Message, Partials.Reaction, Partials.User, Partials.GuildMember]
 });
 
+// Commands, or `command subcommand` pairs, that may take longer than
+// Discord's 3 second response window
+const DEFERRED_COMMANDS = ['stats', 'ticket queue'];
+
+// Custom IDs of the ticket panel button, creation modal and list menu
+const OPEN_TICKET_BUTTON_ID = 'ticket:open';
+const CREATE_TICKET_MODAL_ID = 'ticket:create';
+const VIEW_TICKET_MENU_ID = 'ticket:view';
+
+// Ticket subcommands restricted to the staff role
+const STAFF_SUBCOMMANDS = ['assign', 'priority', 'queue', 'set-status'];
+
+// Embeds are limited to 25 fields
+const QUEUE_PAGE_SIZE = 25;
+
+// Embed fields and select menu options are both limited to 25
+const TICKET_LIST_LIMIT = 25;
+
+// Discord accepts at most 25 autocomplete choices
+const AUTOCOMPLETE_LIMIT = 25;
+
+// Discord caps member timeouts at 28 days
+const MAX_TIMEOUT_MS = 28 * 24 * 60 * 60 * 1000;
+
 /**
  * Create a new ticket
  * @param {string} userId - User ID
@@ -78,6 +150,282 @@ async function initializeBot() {
 
     client.on('messageCreate', handleMessage);
     client.on(Events.InteractionCreate, handleInteraction);
+    client.on(Events.MessageReactionAdd, (reaction, user) => handleReaction(reaction, user, 'add'));
+    client.on(Events.MessageReactionRemove, (reaction, user) => handleReaction(reaction, user, 'remove'));
+    client.on(Events.MessageUpdate, handleMessageEdit);
+    client.on(Events.MessageDelete, handleMessageDelete);
+    client.on(Events.GuildMemberAdd, member => handleMemberChange(member, 'member_join'));
+    client.on(Events.GuildMemberRemove, member => handleMemberChange(member, 'member_leave'));
+}
+
+/**
+ * Record a reaction being added or removed
+ * @param {import('discord.js').MessageReaction | import('discord.js').PartialMessageReaction} reaction - Reaction
+ * @param {import('discord.js').User | import('discord.js').PartialUser} user - User who reacted
+ * @param {'add' | 'remove'} action - Whether the reaction was added or removed
+ * @returns {Promise<void>}
+ */
+async function handleReaction(reaction, user, action) {
+    if (user.bot) return;
+
+    try {
+        await DynamoDBUtils.saveInteraction(user.id, 'discord', {
+            type: 'reaction',
+            action,
+            content: reaction.emoji.toString(),
+            messageId: reaction.message.id,
+            channelId: reaction.message.channelId,
+            guildId: reaction.message.guildId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error recording Discord reaction:', error);
+    }
+}
+
+/**
+ * Record a message edit
+ * @param {import('discord.js').Message | import('discord.js').PartialMessage} oldMessage - Message before the edit
+ * @param {import('discord.js').Message | import('discord.js').PartialMessage} newMessage - Message after the edit
+ * @returns {Promise<void>}
+ */
+async function handleMessageEdit(oldMessage, newMessage) {
+    try {
+        const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+        // Link previews also trigger updates without a content change
+        if (message.author.bot || (!oldMessage.partial && oldMessage.content === message.content)) return;
+
+        await DynamoDBUtils.saveInteraction(message.author.id, 'discord', {
+            type: 'message_edit',
+            content: message.content,
+            messageId: message.id,
+            channelId: message.channelId,
+            guildId: message.guildId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error recording Discord message edit:', error);
+    }
+}
+
+/**
+ * Record a message deletion
+ * @param {import('discord.js').Message | import('discord.js').PartialMessage} message - Deleted message
+ * @returns {Promise<void>}
+ */
+async function handleMessageDelete(message) {
+    // Messages that were not cached have no known author
+    if (!message.author || message.author.bot) return;
+
+    try {
+        await DynamoDBUtils.saveInteraction(message.author.id, 'discord', {
+            type: 'message_delete',
+            content: message.content || '',
+            messageId: message.id,
+            channelId: message.channelId,
+            guildId: message.guildId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error recording Discord message deletion:', error);
+    }
+}
+
+/**
+ * Record a member joining or leaving a guild
+ * @param {import('discord.js').GuildMember | import('discord.js').PartialGuildMember} member - Guild member
+ * @param {'member_join' | 'member_leave'} type - Interaction type
+ * @returns {Promise<void>}
+ */
+async function handleMemberChange(member, type) {
+    if (member.user.bot) return;
+
+    try {
+        await DynamoDBUtils.saveInteraction(member.id, 'discord', {
+            type,
+            content: member.user.username || '',
+            guildId: member.guild.id,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Error recording Discord ${type}:`, error);
+    }
+}
+
+/**
+ * Post an automod entry to the mod-log channel, if one is configured
+ * @param {import('discord.js').Message} message - Offending message
+ * @param {string} reason - Rule that was broken
+ * @param {number} violations - Violations within the window
+ * @param {string[]} actions - Actions that were taken
+ * @returns {Promise<void>}
+ */
+async function postModLog(message, reason, violations, actions) {
+    const channelId = process.env.DISCORD_MOD_LOG_CHANNEL_ID;
+    if (!channelId) return;
+
+    const channel = await client.channels.fetch(channelId);
+    if (!channel?.isSendable()) {
+        console.error(`Mod-log channel ${channelId} is not a text channel`);
+        return;
+    }
+
+    await channel.send({
+        embeds: [{
+            title: '🛡️ Automod',
+            fields: [
+                { name: 'User', value: `<@${message.author.id}> (${message.author.id})`, inline: true },
+                { name: 'Channel', value: `<#${message.channelId}>`, inline: true },
+                { name: 'Reason', value: reason, inline: true },
+                { name: 'Violations', value: String(violations), inline: true },
+                { name: 'Actions', value: actions.join(', ') || 'none', inline: true },
+                { name: 'Message', value: message.content.substring(0, 1024) || '(empty)' }
+            ],
+            timestamp: new Date().toISOString()
+        }],
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * Apply the automod rules from config/automod.json to a guild message.
+ * Each violation counts against the author for the configured window, and
+ * the matching escalation step decides whether the message is deleted, the
+ * author warned in DMs or timed out. Staff and members who can manage
+ * messages are exempt.
+ * @param {import('discord.js').Message} message - Guild message
+ * @returns {Promise<boolean>} Whether the message broke a rule
+ */
+async function enforceContentRules(message) {
+    const config = getAutomodConfig();
+    if (!config.enabled || !message.member) return false;
+    if (isStaffMember(message.member) || message.member.permissions.has(PermissionFlagsBits.ManageMessages)) {
+        return false;
+    }
+
+    const reason = findViolation(message.author.id, message.content, config.rules || {});
+    if (!reason) return false;
+
+    const violations = await recordViolation(
+        'discord',
+        message.author.id,
+        parseDuration(config.violationWindow) || 24 * 60 * 60 * 1000
+    );
+    const step = getEscalationStep(config.escalation || [], violations);
+    const timeoutMs = step?.timeout ? Math.min(parseDuration(step.timeout) || 0, MAX_TIMEOUT_MS) : 0;
+    const guildId = /** @type {string} */ (message.guildId);
+    /** @type {string[]} */
+    const taken = [];
+
+    for (const action of step?.actions || []) {
+        try {
+            if (action === 'delete') {
+                await message.delete();
+            } else if (action === 'warn') {
+                await message.author.send([
+                    `⚠️ Your message in **${message.guild?.name}** was removed for ${reason}.`,
+                    `This is violation ${violations} in the current period; repeated violations lead to timeouts.`,
+                    ...(timeoutMs ? [`You have been timed out for ${step?.timeout}.`] : [])
+                ].join('\n'));
+            } else if (action === 'timeout') {
+                if (!timeoutMs || !message.member.moderatable) continue;
+                await message.member.timeout(timeoutMs, `Automod: ${reason}`);
+            }
+        } catch (error) {
+            // Missing permissions or closed DMs should not stop the other actions
+            console.error(`Error applying Discord automod action ${action}:`, error);
+            continue;
+        }
+
+        taken.push(action);
+        await logModerationAction({
+            platform: 'discord',
+            chatId: guildId,
+            targetUserId: message.author.id,
+            moderatorId: 'auto',
+            action,
+            reason,
+            ...(action === 'timeout' && { durationMs: timeoutMs })
+        });
+    }
+
+    try {
+        await postModLog(message, reason, violations, taken);
+    } catch (error) {
+        console.error('Error posting to the Discord mod-log channel:', error);
+    }
+
+    return true;
+}
+
+/**
+ * Append a message posted in a private ticket channel to its ticket
+ * @param {import('discord.js').Message} message - Discord message
+ * @returns {Promise<boolean>} Whether the channel belongs to a ticket
+ */
+async function syncTicketChannelMessage(message) {
+    const parentId = 'parentId' in message.channel ? message.channel.parentId : null;
+    if (!parentId || parentId !== process.env.DISCORD_SUPPORT_CATEGORY_ID) return false;
+
+    const ticketId = await getTicketIdForChannel(message.channelId);
+    if (!ticketId) return false;
+
+    const attachments = message.attachments.size
+        ? await ingestDiscordAttachments(message.author.id, message.id, [...message.attachments.values()])
+        : [];
+
+    await TicketManager.addResponse(ticketId, {
+        userId: message.author.id,
+        content: message.content,
+        timestamp: message.createdAt.toISOString(),
+        isStaff: isStaffMember(message.member),
+        ...(attachments.length && { attachments })
+    }, { notify: false }); // The ticket creator can read the channel
+
+    return true;
+}
+
+/**
+ * Open the private channel for a ticket created on Discord
+ * @param {Record<string, any>} payload - Queued payload
+ * @returns {Promise<void>}
+ */
+async function processTicketChannel(payload) {
+    const { ticketId } = /** @type {{ ticketId: string }} */ (payload);
+    const ticket = await TicketManager.getTicket(ticketId);
+    // Retries must not open a second channel
+    if (!ticket || ticket.metadata?.discordChannelId) return;
+
+    await createTicketChannel(ticket);
+}
+
+registerProcessor('discord_ticket_channel', processTicketChannel);
+
+/**
+ * Format the guild section of `!stats`
+ * @param {import('discord.js').Guild} guild - Guild the command was sent in
+ * @returns {Promise<string[]>}
+ */
+async function formatGuildStats(guild) {
+    const stats = await Analytics.getGuildStats(guild.id, 7, guild.memberCount);
+    /** @param {number|null} rate */
+    const percent = rate => rate === null ? 'n/a' : `${(rate * 100).toFixed(1)}%`;
+    const topReactions = Object.entries(stats.topReactions)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 5)
+        .map(([emoji, count]) => `${emoji} ${count}`)
+        .join('  ');
+
+    return [
+        '',
+        `🏠 ${guild.name} (Last 7 days):`,
+        `Active Members: ${stats.activeMembers}`,
+        `Messages: ${stats.messageCount} (${stats.editCount} edited, ${stats.deleteCount} deleted)`,
+        `Reactions: ${stats.reactionCount}${topReactions ? ` — ${topReactions}` : ''}`,
+        `Joins / Leaves: ${stats.joins} / ${stats.leaves}`,
+        `Churn Rate: ${percent(stats.churnRate)}`,
+        `New Member Retention: ${percent(stats.retentionRate)}`
+    ];
 }
 
 /**
@@ -95,10 +443,29 @@ async function handleMessage(message) {
             {
                 type: 'message',
                 content: message.content,
+                ...(message.guildId && { guildId: message.guildId }),
                 timestamp: new Date().toISOString()
             }
         );
 
+        if (message.guild && (await enforceContentRules(message) || await syncTicketChannelMessage(message))) {
+            return;
+        }
+
+        // Multi-step flows run in DMs
+        if (!message.guild) {
+            const reply = message.content.startsWith('!ticket')
+                ? await ConversationManager.start('discord', message.author.id, 'ticket_create')
+                : message.content.startsWith('!link')
+                    ? await ConversationManager.start('discord', message.author.id, 'link_account')
+                    : await ConversationManager.handleInput('discord', message.author.id, message.content);
+
+            if (reply) {
+                await message.reply(formatConversationReply(reply));
+                return;
+            }
+        }
+
         if (message.content.startsWith('!stats')) {
             const stats = await getPlatformStats('discord', 7);
             await message.reply({
@@ -108,7 +475,8 @@ async function handleMessage(message) {
                     `Unique Users: ${stats.uniqueUsers}`,
                     `Messages: ${stats.messageCount}`,
                     `Commands: ${stats.commandCount}`,
-                    `Engagement Rate: ${(stats.engagementRate * 100).toFixed(1)}%`
+                    `Engagement Rate: ${(stats.engagementRate * 100).toFixed(1)}%`,
+                    ...(message.guild ? await formatGuildStats(message.guild) : [])
                 ].join('\n')
             });
         }
@@ -124,7 +492,18 @@ async function handleMessage(message) {
  * @returns {Promise<void>}
  */
 async function handleInteraction(interaction) {
-    if (!interaction.isChatInputCommand()) return;
+    // Autocomplete fires on every keystroke, so it is not recorded
+    if (interaction.isAutocomplete()) {
+        await handleAutocomplete(interaction);
+        return;
+    }
+
+    if (
+        !interaction.isChatInputCommand() &&
+        !interaction.isButton() &&
+        !interaction.isStringSelectMenu() &&
+        !interaction.isModalSubmit()
+    ) return;
 
     try {
         await DynamoDBUtils.saveInteraction(
@@ -132,11 +511,20 @@ async function handleInteraction(interaction) {
             'discord',
             {
                 type: 'command',
-                content: interaction.commandName,
+                content: interaction.isChatInputCommand() ? interaction.commandName : interaction.customId,
                 timestamp: new Date().toISOString()
             }
         );
 
+        if (interaction.isModalSubmit()) {
+            await handleModalSubmit(interaction);
+            return;
+        }
+        if (interaction.isButton() || interaction.isStringSelectMenu()) {
+            await handleComponent(interaction);
+            return;
+        }
+
         switch (interaction.commandName) {
             case 'stats':
                 await handleStatsCommand(interaction);
@@ -144,6 +532,9 @@ async function handleInteraction(interaction) {
             case 'ticket':
                 await handleTicketCommand(interaction);
                 break;
+            case 'ticket-panel':
+                await handleTicketPanelCommand(interaction);
+                break;
             default:
                 await interaction.reply({
                     content: 'Unknown command',
@@ -160,6 +551,69 @@ async function handleInteraction(interaction) {
     }
 }
 
+/**
+ * Suggest ticket categories matching the typed text
+ * @param {string} query - Lowercased text typed so far
+ * @returns {{ name: string, value: string }[]}
+ */
+function suggestCategories(query) {
+    return getTicketCategories()
+        .filter(({ label, value }) => !query || label.toLowerCase().includes(query) || value.includes(query))
+        .map(({ label, value }) => ({ name: label, value }));
+}
+
+/**
+ * Suggest tickets matching the typed text. Users get their own Discord
+ * tickets, newest first; staff get the queue, or resolved and closed tickets
+ * when reopening. Close and reopen only suggest tickets they apply to.
+ * @param {import('discord.js').AutocompleteInteraction} interaction - Autocomplete interaction
+ * @param {string} query - Lowercased text typed so far, without a leading `#`
+ * @returns {Promise<{ name: string, value: string }[]>}
+ */
+async function suggestTickets(interaction, query) {
+    const subcommand = interaction.options.getSubcommand(false);
+    const tickets = isStaffMember(interaction.member)
+        ? await (subcommand === 'reopen' ? TicketManager.getResolvedTickets() : TicketManager.getTicketQueue())
+        : (await TicketManager.getUserTickets(interaction.user.id))
+            .filter(ticket => ticket.platform === 'discord')
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return tickets
+        .filter(ticket => subcommand !== 'close' || ticket.status !== 'closed')
+        .filter(ticket => subcommand !== 'reopen' || isResolvedStatus(ticket.status))
+        .filter(ticket => !query ||
+            ticket.id.toLowerCase().includes(query) ||
+            ticket.subject.toLowerCase().includes(query))
+        .map(ticket => ({
+            name: `#${ticket.id} · ${ticket.subject}`.substring(0, 100),
+            value: ticket.id
+        }));
+}
+
+/**
+ * Handle autocomplete for ticket ID and category options
+ * @param {import('discord.js').AutocompleteInteraction} interaction - Autocomplete interaction
+ * @returns {Promise<void>}
+ */
+async function handleAutocomplete(interaction) {
+    try {
+        const focused = interaction.options.getFocused(true);
+        const query = String(focused.value).trim().replace(/^#/, '').toLowerCase();
+
+        let choices = [];
+        if (focused.name === 'category') {
+            choices = suggestCategories(query);
+        } else if (focused.name === 'ticket_id') {
+            choices = await suggestTickets(interaction, query);
+        }
+
+        await interaction.respond(choices.slice(0, AUTOCOMPLETE_LIMIT));
+    } catch (error) {
+        console.error('Error handling autocomplete:', error);
+        await interaction.respond([]);
+    }
+}
+
 /**
  * Handle stats command
  * @param {import('discord.js').ChatInputCommandInteraction} interaction - Command interaction
@@ -195,13 +649,288 @@ async function handleStatsCommand(interaction) {
 }
 
 /**
- * Handle ticket command
+ * Build an embed describing a ticket
+ * @param {TicketData} ticket - Ticket
+ * @returns {Record<string, any>}
+ */
+function buildTicketEmbed(ticket) {
+    const lastResponse = ticket.responses?.[ticket.responses.length - 1];
+    const sla = formatSlaSummary(ticket);
+    const timeline = formatTimeline(ticket, 5).join('\n');
+
+    return {
+        title: `🎫 Ticket #${ticket.id}`,
+        description: ticket.description,
+        fields: [
+            { name: 'Subject', value: ticket.subject, inline: false },
+            { name: 'Status', value: formatStatus(ticket.status), inline: true },
+            { name: 'Category', value: ticket.category, inline: true },
+            { name: 'Priority', value: ticket.priority || 'normal', inline: true },
+            { name: 'Assignee', value: ticket.assignee ? `<@${ticket.assignee}>` : 'Unassigned', inline: true },
+            { name: 'Responses', value: String(ticket.responses?.length || 0), inline: true },
+            ...(sla.length ? [{ name: 'SLA', value: sla.join('\n'), inline: false }] : []),
+            ...(timeline ? [{ name: 'History', value: timeline.substring(0, 1024), inline: false }] : []),
+            ...(lastResponse ? [{
+                name: `Last response (${lastResponse.isStaff ? 'Support' : 'You'})`,
+                value: (lastResponse.content || '').substring(0, 1024) || '(attachment)'
+            }] : [])
+        ],
+        timestamp: ticket.updatedAt
+    };
+}
+
+/**
+ * Close or reopen a ticket
+ * @param {TicketData} ticket - Ticket
+ * @param {'close' | 'reopen'} action - Action to take
+ * @param {TicketActor} actor - Who is changing the status
+ * @returns {Promise<string>} Confirmation message
+ */
+async function changeTicketStatus(ticket, action, actor) {
+    if (action === 'close' && ticket.status === 'closed') {
+        return `Ticket #${ticket.id} is already closed.`;
+    }
+    if (action === 'reopen' && !isResolvedStatus(ticket.status)) {
+        return `Ticket #${ticket.id} is not resolved or closed.`;
+    }
+
+    await TicketManager.updateStatus(ticket.id, action === 'close' ? 'closed' : 'open', actor);
+
+    return `Ticket #${ticket.id} ${action === 'close' ? 'closed' : 'reopened'}.`;
+}
+
+/**
+ * Create a ticket and, when ticket channels are configured, queue the
+ * creation of its private channel
+ * @param {string} userId - User ID
+ * @param {string} subject - Ticket subject
+ * @param {string} description - Ticket description
+ * @param {string} category - Ticket category
+ * @returns {Promise<string>} Confirmation message
+ */
+async function openTicket(userId, subject, description, category) {
+    const ticket = await createTicket(userId, subject, description, category);
+
+    // Creating the channel takes several API calls, so it happens
+    // outside the interaction response window
+    if (!isTicketChannelsEnabled()) {
+        return `Ticket created! #${ticket.id}`;
+    }
+
+    await workQueue.enqueue({
+        source: 'discord_ticket_channel',
+        eventId: ticket.id,
+        payload: { ticketId: ticket.id }
+    });
+
+    return `Ticket created! #${ticket.id}\nA private support channel is being opened for you.`;
+}
+
+/**
+ * Build the ticket creation modal
+ * @returns {ModalBuilder}
+ */
+function buildTicketModal() {
+    return new ModalBuilder()
+        .setCustomId(CREATE_TICKET_MODAL_ID)
+        .setTitle('Open a support ticket')
+        .addLabelComponents(
+            new LabelBuilder()
+                .setLabel('Category')
+                .setStringSelectMenuComponent(new StringSelectMenuBuilder()
+                    .setCustomId('category')
+                    .setPlaceholder('Choose a category')
+                    .addOptions(getTicketCategories())),
+            new LabelBuilder()
+                .setLabel('Subject')
+                .setTextInputComponent(new TextInputBuilder()
+                    .setCustomId('subject')
+                    .setStyle(TextInputStyle.Short)
+                    .setMaxLength(100)),
+            new LabelBuilder()
+                .setLabel('Description')
+                .setDescription('Describe the issue in detail')
+                .setTextInputComponent(new TextInputBuilder()
+                    .setCustomId('description')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMinLength(10)
+                    .setMaxLength(2000))
+        );
+}
+
+/**
+ * Handle the ticket panel command by posting the panel in the channel
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Command interaction
+ * @returns {Promise<void>}
+ */
+async function handleTicketPanelCommand(interaction) {
+    const button = new ButtonBuilder()
+        .setCustomId(OPEN_TICKET_BUTTON_ID)
+        .setLabel('Open ticket')
+        .setEmoji('🎫')
+        .setStyle(ButtonStyle.Primary);
+
+    await interaction.reply({
+        embeds: [{
+            title: '🎫 Support',
+            description: 'Need help? Click the button below to open a support ticket.'
+        }],
+        components: [new ActionRowBuilder().addComponents(button).toJSON()]
+    });
+}
+
+/**
+ * Handle button and select menu interactions
+ * @param {import('discord.js').ButtonInteraction | import('discord.js').StringSelectMenuInteraction} interaction - Component interaction
+ * @returns {Promise<void>}
+ */
+async function handleComponent(interaction) {
+    if (interaction.isButton() && interaction.customId === OPEN_TICKET_BUTTON_ID) {
+        await interaction.showModal(buildTicketModal());
+        return;
+    }
+
+    if (interaction.isStringSelectMenu() && interaction.customId === VIEW_TICKET_MENU_ID) {
+        const ticket = await TicketManager.getOwnedTicket(interaction.values[0], interaction.user.id, 'discord');
+        await interaction.reply(ticket
+            ? { embeds: [buildTicketEmbed(ticket)], ephemeral: true }
+            : { content: 'Ticket not found.', ephemeral: true });
+        return;
+    }
+
+    await interaction.reply({
+        content: 'This component is no longer supported.',
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle modal submissions
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - Modal submit interaction
+ * @returns {Promise<void>}
+ */
+async function handleModalSubmit(interaction) {
+    if (interaction.customId !== CREATE_TICKET_MODAL_ID) {
+        await interaction.reply({
+            content: 'This form is no longer supported.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const [category] = interaction.fields.getStringSelectValues('category');
+    const subject = interaction.fields.getTextInputValue('subject').trim();
+    const description = interaction.fields.getTextInputValue('description').trim();
+
+    await interaction.reply({
+        content: await openTicket(interaction.user.id, subject, description, category),
+        ephemeral: true
+    });
+}
+
+/**
+ * Build the staff queue embed
+ * @param {TicketData[]} tickets - Tickets in queue order
+ * @param {boolean} mine - Whether the queue is limited to the caller
+ * @returns {Record<string, any>}
+ */
+function buildQueueEmbed(tickets, mine) {
+    const shown = tickets.slice(0, QUEUE_PAGE_SIZE);
+
+    return {
+        title: mine ? '📥 Your Ticket Queue' : '📥 Ticket Queue',
+        description: tickets.length > shown.length
+            ? `Showing ${shown.length} of ${tickets.length} unresolved tickets.`
+            : `${tickets.length} unresolved ticket(s).`,
+        fields: shown.map(ticket => ({
+            name: `[${ticket.priority || 'normal'}] #${ticket.id}`,
+            value: [
+                ticket.subject.substring(0, 200),
+                `Status: ${formatStatus(ticket.status)} · Platform: ${ticket.platform}`,
+                `Assignee: ${ticket.assignee ? `<@${ticket.assignee}>` : 'Unassigned'}`
+            ].join('\n')
+        }))
+    };
+}
+
+/**
+ * Handle staff-only ticket subcommands
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Command interaction
+ * @param {string} subcommand - Subcommand name
+ * @returns {Promise<void>}
+ */
+async function handleStaffTicketCommand(interaction, subcommand) {
+    const staffId = interaction.user.id;
+
+    if (subcommand === 'queue') {
+        const mine = interaction.options.getBoolean('mine') ?? false;
+        const tickets = await TicketManager.getTicketQueue(mine ? { assignee: staffId } : {});
+
+        await interaction.reply(tickets.length
+            ? { embeds: [buildQueueEmbed(tickets, mine)], ephemeral: true }
+            : { content: 'The queue is empty.', ephemeral: true });
+        return;
+    }
+
+    const ticketId = interaction.options.getString('ticket_id', true).trim().replace(/^#/, '');
+    const ticket = await TicketManager.getTicket(ticketId);
+    if (!ticket) {
+        await interaction.reply({ content: 'Ticket not found.', ephemeral: true });
+        return;
+    }
+
+    if (subcommand === 'set-status') {
+        const status = interaction.options.getString('status', true);
+        await TicketManager.updateStatus(
+            ticket.id,
+            status,
+            { userId: staffId, platform: 'discord', isStaff: true },
+            interaction.options.getString('comment') || undefined
+        );
+        await interaction.reply({
+            content: `Ticket #${ticket.id} moved from ${formatStatus(ticket.status)} to ${formatStatus(status)}.`,
+            ephemeral: true
+        });
+    } else if (subcommand === 'assign') {
+        const assignee = interaction.options.getUser('assignee') || interaction.user;
+        await TicketManager.assignTicket(ticket.id, assignee.id);
+        await interaction.reply({
+            content: `Ticket #${ticket.id} assigned to <@${assignee.id}>.`,
+            ephemeral: true
+        });
+    } else {
+        const priority = interaction.options.getString('level', true);
+        await TicketManager.setPriority(ticket.id, priority);
+        await interaction.reply({
+            content: `Ticket #${ticket.id} priority set to ${priority}.`,
+            ephemeral: true
+        });
+    }
+}
+
+/**
+ * Handle ticket command. Staff can act on any ticket, whichever platform it
+ * came from; other users only on their own Discord tickets.
  * @param {import('discord.js').ChatInputCommandInteraction} interaction - Command interaction
  * @returns {Promise<void>}
  */
 async function handleTicketCommand(interaction) {
     const subcommand = interaction.options.getSubcommand(false);
     const userId = interaction.user.id;
+    const isStaff = isStaffMember(interaction.member);
+
+    if (subcommand && STAFF_SUBCOMMANDS.includes(subcommand)) {
+        if (!isStaff) {
+            await interaction.reply({
+                content: 'This command is only available to staff.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        await handleStaffTicketCommand(interaction, subcommand);
+        return;
+    }
 
     switch (subcommand) {
         case 'create': {
@@ -209,16 +938,25 @@ async function handleTicketCommand(interaction) {
             const description = interaction.options.getString('description', true);
             const category = interaction.options.getString('category', true);
 
-            const ticket = await createTicket(userId, subject, description, category);
+            // Autocomplete only suggests; any text can still be submitted
+            if (!getTicketCategories().some(({ value }) => value === category)) {
+                await interaction.reply({
+                    content: 'Unknown category. Please pick one of the suggestions.',
+                    ephemeral: true
+                });
+                return;
+            }
 
             await interaction.reply({
-                content: `Ticket created! #${ticket.id}`,
+                content: await openTicket(userId, subject, description, category),
                 ephemeral: true
             });
             break;
         }
         case 'list': {
-            const tickets = await TicketManager.getUserTickets(userId);
+            const tickets = (await TicketManager.getUserTickets(userId))
+                .filter(ticket => ticket.platform === 'discord')
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
             if (!tickets.length) {
                 await interaction.reply({
                     content: 'You have no open tickets.',
@@ -227,24 +965,78 @@ async function handleTicketCommand(interaction) {
                 return;
             }
 
+            const shown = tickets.slice(0, TICKET_LIST_LIMIT);
             const embed = {
                 title: '🎫 Your Tickets',
-                fields: tickets.map(ticket => ({
+                fields: shown.map(ticket => ({
                     name: `Ticket #${ticket.id}`,
                     value: [
-                        `Status: ${ticket.status}`,
+                        `Status: ${formatStatus(ticket.status)}`,
                         `Subject: ${ticket.subject}`,
                         `Category: ${ticket.category}`
                     ].join('\n')
-                }))
+                })),
+                ...(tickets.length > shown.length && {
+                    footer: { text: `…and ${tickets.length - shown.length} more` }
+                })
             };
 
+            const menu = new StringSelectMenuBuilder()
+                .setCustomId(VIEW_TICKET_MENU_ID)
+                .setPlaceholder('View a ticket')
+                .addOptions(shown.map(ticket => ({
+                    label: ticket.subject.substring(0, 100) || ticket.id,
+                    value: ticket.id,
+                    description: `${formatStatus(ticket.status)} · #${ticket.id}`.substring(0, 100)
+                })));
+
             await interaction.reply({
                 embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(menu).toJSON()],
                 ephemeral: true
             });
             break;
         }
+        case 'status':
+        case 'close':
+        case 'reopen':
+        case 'reply': {
+            const ticketId = interaction.options.getString('ticket_id', true);
+            const ticket = isStaff
+                ? await TicketManager.getTicket(ticketId.trim().replace(/^#/, ''))
+                : await TicketManager.getOwnedTicket(ticketId, userId, 'discord');
+            if (!ticket) {
+                await interaction.reply({
+                    content: 'Ticket not found.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (subcommand === 'status') {
+                await interaction.reply({
+                    embeds: [buildTicketEmbed(ticket)],
+                    ephemeral: true
+                });
+            } else if (subcommand === 'reply') {
+                await TicketManager.addResponse(ticket.id, {
+                    userId,
+                    content: interaction.options.getString('message', true),
+                    timestamp: new Date().toISOString(),
+                    isStaff
+                });
+                await interaction.reply({
+                    content: `Response added to ticket #${ticket.id}.`,
+                    ephemeral: true
+                });
+            } else {
+                await interaction.reply({
+                    content: await changeTicketStatus(ticket, subcommand, { userId, platform: 'discord', isStaff }),
+                    ephemeral: true
+                });
+            }
+            break;
+        }
         default:
             await interaction.reply({
                 content: 'Unknown subcommand',
@@ -254,19 +1046,74 @@ async function handleTicketCommand(interaction) {
 }
 
 /**
- * Lambda handler for Discord bot
+ * Process a deferred interaction from the work queue
+ * @param {Record<string, any>} payload - Raw interaction payload
+ * @returns {Promise<void>}
+ */
+async function processDeferredInteraction(payload) {
+    await handleInteraction(/** @type {any} */ (new HttpInteraction(payload, { deferred: true })));
+}
+
+registerProcessor('discord', processDeferredInteraction);
+
+/**
+ * Build a JSON interaction response
+ * @param {Record<string, any>} body - Interaction response
+ * @returns {LambdaResponse}
+ */
+function interactionResponse(body) {
+    return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Lambda handler for Discord's HTTP interactions endpoint. Discord requires
+ * a response within 3 seconds, so slow commands are deferred and finished by
+ * the queue consumer through follow-up webhooks.
  * @param {LambdaEvent} event - Lambda event
  * @returns {Promise<LambdaResponse>} Lambda response
  */
 export const handler = async (event) => {
     try {
-        await initializeBot();
-        return {
-            statusCode: 200,
-            body: JSON.stringify({ message: 'Bot initialized successfully' })
-        };
+        const rawBody = getRawBody(event);
+        const signature = getHeader(event.headers, 'x-signature-ed25519');
+        const timestamp = getHeader(event.headers, 'x-signature-timestamp');
+        if (!verifyDiscordSignature(rawBody, signature, timestamp, process.env.DISCORD_PUBLIC_KEY)) {
+            return await rejectRequest('discord', signature ? 'Invalid signature' : 'Missing signature', event);
+        }
+
+        const payload = JSON.parse(rawBody || '{}');
+
+        if (payload.type === InteractionType.Ping) {
+            return interactionResponse({ type: InteractionResponseType.Pong });
+        }
+
+        const interaction = new HttpInteraction(payload);
+        const subcommand = interaction.options.getSubcommand(false);
+        if (payload.type === InteractionType.ApplicationCommand && (
+            DEFERRED_COMMANDS.includes(interaction.commandName) ||
+            DEFERRED_COMMANDS.includes(`${interaction.commandName} ${subcommand}`)
+        )) {
+            await IdempotencyStore.processOnce('discord', payload.id, () =>
+                workQueue.enqueue({ source: 'discord', eventId: payload.id, payload })
+            );
+            return interactionResponse({
+                type: InteractionResponseType.DeferredChannelMessageWithSource,
+                data: { flags: MessageFlags.Ephemeral }
+            });
+        }
+
+        await handleInteraction(/** @type {any} */ (interaction));
+
+        return interactionResponse(interaction.response || {
+            type: InteractionResponseType.ChannelMessageWithSource,
+            data: { content: 'This interaction is not supported.', flags: MessageFlags.Ephemeral }
+        });
     } catch (error) {
-        console.error('Error initializing bot:', error);
+        console.error('Error handling Discord interaction:', error);
         return {
             statusCode: 500,
             body: JSON.stringify({
@@ -274,4 +1121,6 @@ export const handler = async (event) => {
             })
         };
     }
-};
\ No newline at end of file
+};
+
+export { initializeBot };
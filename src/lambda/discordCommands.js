@@ -0,0 +1,124 @@
+import { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } from 'discord.js';
+import { TICKET_PRIORITIES } from '../utils/ticketUtils.js';
+import { TICKET_STATUSES, formatStatus } from '../utils/ticketLifecycleUtils.js';
+
+/**
+ * Slash command definitions for the handlers in `discordBot.js`. Run
+ * `npm run deploy:discord-commands` after changing them so Discord stays in
+ * sync with the handlers.
+ *
+ * Ticket ID and category options are autocompleted by the handler, so
+ * categories come from config/ticket-categories.json like on the other bots.
+ *
+ * Discord cannot restrict individual subcommands, so the staff-only `ticket`
+ * subcommands are checked against `DISCORD_STAFF_ROLE_ID` by the handler.
+ */
+
+const ticketIdOption = (/** @type {import('discord.js').SlashCommandStringOption} */ option) => option
+    .setName('ticket_id')
+    .setDescription('Ticket ID, e.g. TICKET_1700000000000_abcde')
+    .setRequired(true)
+    .setAutocomplete(true);
+
+const statsCommand = new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Show your engagement stats');
+
+const ticketCommand = new SlashCommandBuilder()
+    .setName('ticket')
+    .setDescription('Manage your support tickets')
+    .addSubcommand(subcommand => subcommand
+        .setName('create')
+        .setDescription('Open a new support ticket')
+        .addStringOption(option => option
+            .setName('subject')
+            .setDescription('Short summary of the issue')
+            .setRequired(true)
+            .setMaxLength(100))
+        .addStringOption(option => option
+            .setName('description')
+            .setDescription('Describe the issue in detail')
+            .setRequired(true)
+            .setMaxLength(2000))
+        .addStringOption(option => option
+            .setName('category')
+            .setDescription('Ticket category')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('list')
+        .setDescription('List your tickets'))
+    .addSubcommand(subcommand => subcommand
+        .setName('status')
+        .setDescription('Show the status of a ticket')
+        .addStringOption(ticketIdOption))
+    .addSubcommand(subcommand => subcommand
+        .setName('reply')
+        .setDescription('Add a response to a ticket')
+        .addStringOption(ticketIdOption)
+        .addStringOption(option => option
+            .setName('message')
+            .setDescription('Your response')
+            .setRequired(true)
+            .setMaxLength(2000)))
+    .addSubcommand(subcommand => subcommand
+        .setName('close')
+        .setDescription('Close a ticket')
+        .addStringOption(ticketIdOption))
+    .addSubcommand(subcommand => subcommand
+        .setName('reopen')
+        .setDescription('Reopen a closed ticket')
+        .addStringOption(ticketIdOption))
+    .addSubcommand(subcommand => subcommand
+        .setName('assign')
+        .setDescription('Staff: assign a ticket')
+        .addStringOption(ticketIdOption)
+        .addUserOption(option => option
+            .setName('assignee')
+            .setDescription('Staff member to assign (defaults to you)')))
+    .addSubcommand(subcommand => subcommand
+        .setName('priority')
+        .setDescription('Staff: set the priority of a ticket')
+        .addStringOption(ticketIdOption)
+        .addStringOption(option => option
+            .setName('level')
+            .setDescription('New priority')
+            .setRequired(true)
+            .addChoices(...TICKET_PRIORITIES.map(priority => ({ name: priority, value: priority })))))
+    .addSubcommand(subcommand => subcommand
+        .setName('set-status')
+        .setDescription('Staff: move a ticket through its lifecycle')
+        .addStringOption(ticketIdOption)
+        .addStringOption(option => option
+            .setName('status')
+            .setDescription('New status')
+            .setRequired(true)
+            .addChoices(...TICKET_STATUSES.map(status => ({ name: formatStatus(status), value: status }))))
+        .addStringOption(option => option
+            .setName('comment')
+            .setDescription('Reason, shown in the ticket history')
+            .setMaxLength(200)))
+    .addSubcommand(subcommand => subcommand
+        .setName('queue')
+        .setDescription('Staff: list unresolved tickets from every platform')
+        .addBooleanOption(option => option
+            .setName('mine')
+            .setDescription('Only show tickets assigned to you')));
+
+const ticketPanelCommand = new SlashCommandBuilder()
+    .setName('ticket-panel')
+    .setDescription('Post a panel with an "Open ticket" button in this channel')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setContexts(InteractionContextType.Guild);
+
+/**
+ * Command definitions in the Discord API format
+ * @type {import('discord.js').RESTPostAPIApplicationCommandsJSONBody[]}
+ */
+export const commandDefinitions = [
+    statsCommand,
+    ticketCommand,
+    ticketPanelCommand
+].map(command => command.toJSON());
+
+export default commandDefinitions;
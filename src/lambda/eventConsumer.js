@@ -0,0 +1,22 @@
+import { processQueueBatch } from '../utils/queueUtils.js';
+
+// Importing the bots registers their event processors
+import './discordBot.js';
+import './metaBot.js';
+import './telegramBot.js';
+
+/**
+ * @typedef {import('../utils/queueUtils.js').SQSRecord} SQSRecord
+ */
+
+/**
+ * @typedef {Object} SQSEvent
+ * @property {SQSRecord[]} Records - Batch of queue messages
+ */
+
+/**
+ * Lambda handler for queued webhook events
+ * @param {SQSEvent} event - SQS event
+ * @returns {Promise<{ batchItemFailures: { itemIdentifier: string }[] }>}
+ */
+export const handler = async (event) => processQueueBatch(event.Records || []);
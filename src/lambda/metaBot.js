@@ -1,9 +1,30 @@
 import { DynamoDBUtils } from '../utils/dynamoDBUtils.js';
 import Analytics from '../utils/analyticsUtils.js';
-import { fetch } from 'undici';
-import { createHmac } from 'crypto';
-import { getPlatformToken, getPlatformConfig } from '../utils/configUtils.js';
+import { DeliveryTracker } from '../utils/deliveryUtils.js';
+import { ingestWhatsAppMedia, ingestMessengerAttachments } from '../utils/mediaUtils.js';
+import { WhatsAppWindow } from '../utils/whatsappWindowUtils.js';
+import {
+    continueMetaConversation,
+    resolveKeywordAction,
+    resolvePostbackAction,
+    runMetaAction
+} from '../utils/metaCommandUtils.js';
+import { IdempotencyStore } from '../utils/idempotencyUtils.js';
+import workQueue, { registerProcessor } from '../utils/queueUtils.js';
+import { getPlatformConfig } from '../utils/configUtils.js';
 import { isProfanityFree, isNotSpam, rateLimiter } from '../utils/moderationUtils.js';
+import {
+    sendWhatsAppMessage,
+    sendFacebookMessage,
+    sendInstagramMessage
+} from '../utils/metaMessagingUtils.js';
+import {
+    getHeader,
+    getRawBody,
+    verifyMetaSignature,
+    verifyMetaSubscription,
+    rejectRequest
+} from '../utils/webhookAuthUtils.js';
 
 /**
  * @typedef {import('../types.js').LambdaEvent} LambdaEvent
@@ -13,17 +34,10 @@ import { isProfanityFree, isNotSpam, rateLimiter } from '../utils/moderationUtil
  * @typedef {import('../types/meta.js').InstagramMessage} InstagramMessage
  * @typedef {import('../types/meta.js').MetaWebhookEvent} MetaWebhookEvent 
  * @typedef {import('../types/meta.js').MetaWebhookHeader} MetaWebhookHeader
+ * @typedef {import('../types/meta.js').WhatsAppStatus} WhatsAppStatus
+ * @typedef {import('../utils/queueUtils.js').QueuedEvent} QueuedEvent
  */
 
-// Verify webhook signature
-function verifySignature(signature, body, appSecret) {
-    const expectedSignature = createHmac('sha256', appSecret)
-        .update(body)
-        .digest('hex');
-
-    return `sha256=${expectedSignature}` === signature;
-}
-
 /**
  * Process WhatsApp message
  * @param {string} senderId - Sender ID
@@ -31,58 +45,36 @@ function verifySignature(signature, body, appSecret) {
  */
 async function handleWhatsAppMessage(senderId, message) {
     try {
-        const url = new URL('https://graph.facebook.com/v17.0/messages');
-        const token = getPlatformToken('whatsapp');
-        url.searchParams.append('access_token', token);
+        await WhatsAppWindow.recordInbound(senderId, message.timestamp);
 
         // Rate limiting check
         if (!rateLimiter.isAllowed(senderId, 'message')) {
-            await fetch(url.toString(), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    messaging_product: 'whatsapp',
-                    to: senderId,
-                    text: { body: 'You are sending messages too quickly. Please wait a moment.' }
-                })
-            });
+            await sendWhatsAppMessage(senderId, 'You are sending messages too quickly. Please wait a moment.');
             return;
         }
 
         // Content moderation
         if (message.text?.body) {
             if (!isProfanityFree(message.text.body)) {
-                await fetch(url.toString(), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        messaging_product: 'whatsapp',
-                        to: senderId,
-                        text: { body: 'Your message contains inappropriate content.' }
-                    })
-                });
+                await sendWhatsAppMessage(senderId, 'Your message contains inappropriate content.');
                 return;
             }
 
             if (!isNotSpam(message.text.body)) {
-                await fetch(url.toString(), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        messaging_product: 'whatsapp',
-                        to: senderId,
-                        text: { body: 'Your message has been flagged as spam.' }
-                    })
-                });
+                await sendWhatsAppMessage(senderId, 'Your message has been flagged as spam.');
                 return;
             }
         }
 
+        const attachments = await ingestWhatsAppMedia(senderId, message);
+
         // Save interaction
         await DynamoDBUtils.saveInteraction(senderId, 'whatsapp', {
             type: 'message',
-            content: message.text?.body || '',
+            content: message.text?.body || message[message.type]?.caption || '',
             messageType: message.type,
+            attachments,
+            eventId: message.id,
             timestamp: message.timestamp
         });
 
@@ -90,31 +82,21 @@ async function handleWhatsAppMessage(senderId, message) {
         const userStats = await Analytics.getUserEngagement(senderId);
         const engagementLevel = userStats.engagementScore >= 70 ? 'high' : 'normal';
 
-        if (message.text?.body?.toLowerCase().includes('help')) {
-            await fetch(url.toString(), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    messaging_product: 'whatsapp',
-                    to: senderId,
-                    text: {
-                        body: 'Available commands:\n- help: Show this message'
-                    }
-                })
-            });
+        if (await continueMetaConversation('whatsapp', senderId,
+            message.interactive?.button_reply?.id || message.text?.body || '')) {
+            return;
+        }
+
+        const action = message.interactive?.button_reply
+            ? resolvePostbackAction(message.interactive.button_reply.id)
+            : resolveKeywordAction(message.text?.body || '');
+        if (action) {
+            await runMetaAction('whatsapp', senderId, action);
             return;
         }
 
         // Default response
-        await fetch(url.toString(), {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                messaging_product: 'whatsapp',
-                to: senderId,
-                text: { body: 'Message received. How can I help you?' }
-            })
-        });
+        await sendWhatsAppMessage(senderId, 'Message received. How can I help you?');
     } catch (error) {
         console.error('Error handling WhatsApp message:', error);
         throw error;
@@ -125,58 +107,42 @@ async function handleWhatsAppMessage(senderId, message) {
  * Process Facebook message
  * @param {string} senderId - Sender ID
  * @param {FacebookMessage} message - Facebook message
+ * @param {string} [timestamp] - Unix timestamp in seconds from the webhook
  */
-async function handleFacebookMessage(senderId, message) {
+async function handleFacebookMessage(senderId, message, timestamp) {
     try {
-        const url = new URL('https://graph.facebook.com/v17.0/me/messages');
-        const token = getPlatformToken('facebook');
-        url.searchParams.append('access_token', token);
+        await WhatsAppWindow.recordInbound(senderId, timestamp, 'facebook');
 
         // Rate limiting check
         if (!rateLimiter.isAllowed(senderId, 'message')) {
-            await fetch(url.toString(), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    recipient: { id: senderId },
-                    message: { text: 'You are sending messages too quickly. Please wait a moment.' }
-                })
-            });
+            await sendFacebookMessage(senderId, 'You are sending messages too quickly. Please wait a moment.');
             return;
         }
 
         // Content moderation
         if (message.text) {
             if (!isProfanityFree(message.text)) {
-                await fetch(url.toString(), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        recipient: { id: senderId },
-                        message: { text: 'Your message contains inappropriate content.' }
-                    })
-                });
+                await sendFacebookMessage(senderId, 'Your message contains inappropriate content.');
                 return;
             }
 
             if (!isNotSpam(message.text)) {
-                await fetch(url.toString(), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        recipient: { id: senderId },
-                        message: { text: 'Your message has been flagged as spam.' }
-                    })
-                });
+                await sendFacebookMessage(senderId, 'Your message has been flagged as spam.');
                 return;
             }
         }
 
+        const attachments = message.attachments
+            ? await ingestMessengerAttachments('facebook', senderId, message.mid, message.attachments)
+            : [];
+
         // Save interaction
         await DynamoDBUtils.saveInteraction(senderId, 'facebook', {
             type: 'message',
             content: message.text || '',
             messageType: message.attachments ? 'attachment' : 'text',
+            attachments,
+            eventId: message.mid,
             timestamp: new Date().toISOString()
         });
 
@@ -184,29 +150,20 @@ async function handleFacebookMessage(senderId, message) {
         const userStats = await Analytics.getUserEngagement(senderId);
         const engagementLevel = userStats.engagementScore >= 70 ? 'high' : 'normal';
 
-        if (message.text?.toLowerCase().includes('help')) {
-            await fetch(url.toString(), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    recipient: { id: senderId },
-                    message: {
-                        text: 'Available commands:\n- help: Show this message'
-                    }
-                })
-            });
+        if (await continueMetaConversation('facebook', senderId, message.quick_reply?.payload || message.text || '')) {
+            return;
+        }
+
+        const action = message.quick_reply
+            ? resolvePostbackAction(message.quick_reply.payload)
+            : resolveKeywordAction(message.text || '');
+        if (action) {
+            await runMetaAction('facebook', senderId, action);
             return;
         }
 
         // Default response
-        await fetch(url.toString(), {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                recipient: { id: senderId },
-                message: { text: 'Message received. How can I help you?' }
-            })
-        });
+        await sendFacebookMessage(senderId, 'Message received. How can I help you?');
     } catch (error) {
         console.error('Error handling Facebook message:', error);
         throw error;
@@ -217,58 +174,42 @@ async function handleFacebookMessage(senderId, message) {
  * Process Instagram message
  * @param {string} senderId - Sender ID
  * @param {InstagramMessage} message - Instagram message
+ * @param {string} [timestamp] - Unix timestamp in seconds from the webhook
  */
-async function handleInstagramMessage(senderId, message) {
+async function handleInstagramMessage(senderId, message, timestamp) {
     try {
-        const url = new URL('https://graph.facebook.com/v17.0/me/messages');
-        const token = getPlatformToken('instagram');
-        url.searchParams.append('access_token', token);
+        await WhatsAppWindow.recordInbound(senderId, timestamp, 'instagram');
 
         // Rate limiting check
         if (!rateLimiter.isAllowed(senderId, 'message')) {
-            await fetch(url.toString(), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    recipient: { id: senderId },
-                    message: { text: 'You are sending messages too quickly. Please wait a moment.' }
-                })
-            });
+            await sendInstagramMessage(senderId, 'You are sending messages too quickly. Please wait a moment.');
             return;
         }
 
         // Content moderation
         if (message.text) {
             if (!isProfanityFree(message.text)) {
-                await fetch(url.toString(), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        recipient: { id: senderId },
-                        message: { text: 'Your message contains inappropriate content.' }
-                    })
-                });
+                await sendInstagramMessage(senderId, 'Your message contains inappropriate content.');
                 return;
             }
 
             if (!isNotSpam(message.text)) {
-                await fetch(url.toString(), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        recipient: { id: senderId },
-                        message: { text: 'Your message has been flagged as spam.' }
-                    })
-                });
+                await sendInstagramMessage(senderId, 'Your message has been flagged as spam.');
                 return;
             }
         }
 
+        const attachments = message.attachments
+            ? await ingestMessengerAttachments('instagram', senderId, message.mid, message.attachments)
+            : [];
+
         // Save interaction
         await DynamoDBUtils.saveInteraction(senderId, 'instagram', {
             type: 'message',
             content: message.text || '',
             messageType: message.attachments ? 'attachment' : 'text',
+            attachments,
+            eventId: message.mid,
             timestamp: new Date().toISOString()
         });
 
@@ -276,29 +217,20 @@ async function handleInstagramMessage(senderId, message) {
         const userStats = await Analytics.getUserEngagement(senderId);
         const engagementLevel = userStats.engagementScore >= 70 ? 'high' : 'normal';
 
-        if (message.text?.toLowerCase().includes('help')) {
-            await fetch(url.toString(), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    recipient: { id: senderId },
-                    message: {
-                        text: 'Available commands:\n- help: Show this message'
-                    }
-                })
-            });
+        if (await continueMetaConversation('instagram', senderId, message.quick_reply?.payload || message.text || '')) {
+            return;
+        }
+
+        const action = message.quick_reply
+            ? resolvePostbackAction(message.quick_reply.payload)
+            : resolveKeywordAction(message.text || '');
+        if (action) {
+            await runMetaAction('instagram', senderId, action);
             return;
         }
 
         // Default response
-        await fetch(url.toString(), {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                recipient: { id: senderId },
-                message: { text: 'Message received. How can I help you?' }
-            })
-        });
+        await sendInstagramMessage(senderId, 'Message received. How can I help you?');
     } catch (error) {
         console.error('Error handling Instagram message:', error);
         throw error;
@@ -307,7 +239,8 @@ async function handleInstagramMessage(senderId, message) {
 
 /**
  * Lambda handler for Meta platform webhooks
- * @param {Object} event - Lambda event
+ * @param {LambdaEvent} event - Lambda event
+ * @returns {Promise<LambdaResponse>} Lambda response
  */
 const handler = async (event) => {
     try {
@@ -319,55 +252,29 @@ const handler = async (event) => {
                     body: JSON.stringify({ error: 'Missing challenge parameter' })
                 };
             }
+            if (!verifyMetaSubscription(event.queryStringParameters)) {
+                return await rejectRequest('meta', 'Invalid verify token', event);
+            }
+            // Meta expects the challenge echoed back verbatim
             return {
                 statusCode: 200,
-                body: JSON.stringify({ success: true, challenge })
+                body: challenge
             };
         }
 
-        const body = JSON.parse(event.body || '{}');
-
-        // Handle Facebook messages
-        if (body.object === 'page') {
-            const entries = body.entry || [];
-            for (const entry of entries) {
-                const messages = entry.messaging || [];
-                for (const message of messages) {
-                    if (message.message && !message.message.is_echo) {
-                        await handleFacebookMessage(message.sender.id, message.message);
-                    } else if (message.postback) {
-                        await handleFacebookPostback(message.sender.id, message.postback);
-                    }
-                }
-            }
+        const rawBody = getRawBody(event);
+        const signature = getHeader(event.headers, 'x-hub-signature-256');
+        if (!verifyMetaSignature(rawBody, signature, process.env.META_APP_SECRET)) {
+            return await rejectRequest('meta', signature ? 'Invalid signature' : 'Missing signature', event);
         }
 
-        // Handle Instagram messages
-        if (body.object === 'instagram') {
-            const entries = body.entry || [];
-            for (const entry of entries) {
-                const messages = entry.messaging || [];
-                for (const message of messages) {
-                    if (message.message && !message.message.is_echo) {
-                        await handleInstagramMessage(message.sender.id, message.message);
-                    }
-                }
-            }
-        }
+        const body = JSON.parse(rawBody || '{}');
 
-        // Handle WhatsApp messages
-        if (body.object === 'whatsapp_business_account') {
-            const entries = body.entry || [];
-            for (const entry of entries) {
-                const changes = entry.changes || [];
-                for (const change of changes) {
-                    if (change.value?.messages) {
-                        for (const message of change.value.messages) {
-                            await handleWhatsAppMessage(message.from, message);
-                        }
-                    }
-                }
-            }
+        // Acknowledge right away; replies are sent by the queue consumer
+        for (const queuedEvent of normalizeMetaEvents(body)) {
+            await IdempotencyStore.processOnce(queuedEvent.payload.platform, queuedEvent.eventId, () =>
+                workQueue.enqueue(queuedEvent)
+            );
         }
 
         return {
@@ -386,78 +293,144 @@ const handler = async (event) => {
 };
 
 /**
- * Handle WhatsApp webhook events
- * @param {Object} body Webhook event body
+ * Flatten a Meta webhook body into queued events
+ * @param {MetaWebhookEvent} body - Webhook event body
+ * @returns {QueuedEvent[]}
  */
-async function handleWhatsAppWebhook(body) {
-    const entries = body.entry || [];
-    for (const entry of entries) {
-        for (const change of (entry.changes || [])) {
-            if (change.value?.messages) {
-                for (const message of change.value.messages) {
-                    await handleWhatsAppMessage(message.from, message);
+function normalizeMetaEvents(body) {
+    /** @type {QueuedEvent[]} */
+    const events = [];
+
+    for (const entry of body.entry || []) {
+        if (body.object === 'page' || body.object === 'instagram') {
+            const platform = body.object === 'page' ? 'facebook' : 'instagram';
+
+            for (const messaging of entry.messaging || []) {
+                // Messaging timestamps are in milliseconds
+                const timestamp = messaging.timestamp ? String(Math.floor(messaging.timestamp / 1000)) : undefined;
+
+                if (messaging.message && !messaging.message.is_echo) {
+                    events.push({
+                        source: 'meta',
+                        eventId: messaging.message.mid,
+                        payload: { platform, kind: 'message', senderId: messaging.sender.id, message: messaging.message, timestamp }
+                    });
+                } else if (messaging.postback) {
+                    events.push({
+                        source: 'meta',
+                        eventId: messaging.postback.mid || `${messaging.sender.id}_${messaging.timestamp}`,
+                        payload: { platform, kind: 'postback', senderId: messaging.sender.id, postback: messaging.postback, timestamp }
+                    });
+                } else if (messaging.delivery || messaging.read?.mid) {
+                    // Messenger delivery receipts list message IDs; Instagram
+                    // read receipts carry a single one
+                    const status = messaging.delivery ? 'delivered' : 'read';
+                    const watermark = messaging.delivery?.watermark || messaging.timestamp;
+                    /** @type {string[]} */
+                    const mids = messaging.delivery ? messaging.delivery.mids || [] : [messaging.read.mid];
+                    for (const mid of mids) {
+                        events.push({
+                            source: 'meta',
+                            payload: {
+                                platform,
+                                kind: 'status',
+                                status: {
+                                    id: mid,
+                                    status,
+                                    timestamp: String(Math.floor(watermark / 1000)),
+                                    recipient_id: messaging.sender.id
+                                }
+                            }
+                        });
+                    }
+                } else if (messaging.read?.watermark) {
+                    events.push({
+                        source: 'meta',
+                        payload: { platform, kind: 'read', recipientId: messaging.sender.id, watermark: messaging.read.watermark }
+                    });
                 }
             }
         }
-    }
-}
 
-/**
- * Handle Facebook webhook events
- * @param {Object} body Webhook event body
- */
-async function handleFacebookWebhook(body) {
-    const entries = body.entry || [];
-    for (const entry of entries) {
-        for (const message of (entry.messaging || [])) {
-            if (message.message) {
-                await handleFacebookMessage(message.sender.id, message.message);
-            } else if (message.postback) {
-                await handleFacebookPostback(message.sender.id, message.postback);
+        if (body.object === 'whatsapp_business_account') {
+            for (const change of entry.changes || []) {
+                for (const message of change.value?.messages || []) {
+                    events.push({
+                        source: 'meta',
+                        eventId: message.id,
+                        payload: { platform: 'whatsapp', kind: 'message', senderId: message.from, message }
+                    });
+                }
+                // Status updates are idempotent on their own
+                for (const status of change.value?.statuses || []) {
+                    events.push({
+                        source: 'meta',
+                        payload: { platform: 'whatsapp', kind: 'status', status }
+                    });
+                }
             }
         }
     }
+
+    return events;
 }
 
 /**
- * Handle Instagram webhook events
- * @param {Object} body Webhook event body
+ * Process a queued Meta event: moderation, persistence and replies
+ * @param {Record<string, any>} payload - Normalized event payload
+ * @returns {Promise<void>}
  */
-async function handleInstagramWebhook(body) {
-    const entries = body.entry || [];
-    for (const entry of entries) {
-        for (const message of (entry.messaging || [])) {
-            if (message.message) {
-                await handleInstagramMessage(message.sender.id, message.message);
+async function processMetaEvent(payload) {
+    switch (payload.kind) {
+        case 'message':
+            if (payload.platform === 'whatsapp') {
+                await handleWhatsAppMessage(payload.senderId, payload.message);
+            } else if (payload.platform === 'facebook') {
+                await handleFacebookMessage(payload.senderId, payload.message, payload.timestamp);
+            } else {
+                await handleInstagramMessage(payload.senderId, payload.message, payload.timestamp);
             }
-        }
+            break;
+        case 'postback':
+            await handlePostback(payload.platform, payload.senderId, payload.postback, payload.timestamp);
+            break;
+        case 'status':
+            await DeliveryTracker.applyStatus(payload.platform, payload.status);
+            break;
+        case 'read':
+            await DeliveryTracker.applyReadWatermark(payload.platform, payload.recipientId, payload.watermark);
+            break;
+        default:
+            throw new Error(`Unknown Meta event kind: ${payload.kind}`);
     }
 }
 
 /**
- * Send message functions (to be implemented)
- */
-async function sendWhatsAppMessage(userId, message) { }
-async function sendFacebookMessage(userId, message) { }
-async function sendInstagramMessage(userId, message) { }
-
-/**
- * Handle Facebook postback
+ * Handle a Messenger or Instagram postback (Get Started, persistent menu,
+ * ice breakers and template buttons)
+ * @param {'facebook' | 'instagram'} platform - Platform name
  * @param {string} senderId - Sender ID
- * @param {Object} postback - Postback data
+ * @param {{ title?: string, payload: string }} postback - Postback data
+ * @param {string} [timestamp] - Unix timestamp in seconds from the webhook
  * @returns {Promise<void>}
  */
-async function handleFacebookPostback(senderId, postback) {
+async function handlePostback(platform, senderId, postback, timestamp) {
+    await WhatsAppWindow.recordInbound(senderId, timestamp, platform);
+
     await DynamoDBUtils.saveInteraction(
         senderId,
-        'facebook',
+        platform,
         {
             type: 'postback',
             content: postback,
             timestamp: new Date().toISOString()
         }
     );
+
+    await runMetaAction(platform, senderId, resolvePostbackAction(postback.payload) || { name: 'HELP' });
 }
 
+registerProcessor('meta', processMetaEvent);
+
 // Single export
 export { handler };
\ No newline at end of file
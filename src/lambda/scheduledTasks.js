@@ -1,6 +1,8 @@
 import backupSystem from '../utils/backupUtils.js';
 import MonitoringSystem from '../utils/monitoringUtils.js';
 import discordNotifications from '../utils/discordNotificationUtils.js';
+import { TicketManager } from '../utils/ticketUtils.js';
+import { describeSlaBreach } from '../utils/slaUtils.js';
 
 /**
  * @typedef {import('../types.js').LambdaEvent} LambdaEvent
@@ -13,6 +15,34 @@ import discordNotifications from '../utils/discordNotificationUtils.js';
  * @property {boolean} notifyOnCompletion - Whether to send completion notification
  */
 
+// Keep the alert within Discord's embed description limit
+const MAX_SLA_ALERT_LINES = 20;
+
+/**
+ * Flag tickets that missed their SLA, escalate them and alert staff
+ * @returns {Promise<void>}
+ */
+async function checkTicketSlas() {
+    const results = await TicketManager.checkSlaBreaches();
+    if (!results.length) return;
+
+    const lines = results.slice(0, MAX_SLA_ALERT_LINES).map(({ ticket, breaches, priority }) =>
+        `• #${ticket.id} (${ticket.platform}, ${ticket.category}): ` +
+        `${breaches.map(describeSlaBreach).join(', ')}; ` +
+        `priority ${ticket.priority || 'normal'} → ${priority}, ` +
+        (ticket.assignee ? `assigned to <@${ticket.assignee}>` : 'unassigned')
+    );
+    if (results.length > lines.length) {
+        lines.push(`…and ${results.length - lines.length} more`);
+    }
+
+    await discordNotifications.sendSystemAlert(
+        'Ticket SLA Breached',
+        lines.join('\n'),
+        results.some(result => result.breaches.includes('resolution')) ? 'error' : 'warning'
+    );
+}
+
 /**
  * Lambda handler for scheduled tasks
  * @param {LambdaEvent & TaskConfig} event - Lambda event with task configuration
@@ -36,12 +66,17 @@ export const handler = async (event) => {
                 await MonitoringSystem.checkPerformanceDegradation();
                 break;
 
+            case 'sla':
+                await checkTicketSlas();
+                break;
+
             case 'all':
                 await Promise.all([
                     backupSystem.performBackup(),
                     backupSystem.generateReport(),
                     MonitoringSystem.performHealthCheck(),
-                    MonitoringSystem.checkPerformanceDegradation()
+                    MonitoringSystem.checkPerformanceDegradation(),
+                    checkTicketSlas()
                 ]);
                 break;
 
@@ -1,7 +1,17 @@
-import { Bot } from 'grammy';
+import { Bot, GrammyError } from 'grammy';
 import { DynamoDBUtils } from '../utils/dynamoDBUtils.js';
 import { TicketManager } from '../utils/ticketUtils.js';
 import Analytics from '../utils/analyticsUtils.js';
+import { getRawBody, verifyTelegramSecret, rejectRequest } from '../utils/webhookAuthUtils.js';
+import { IdempotencyStore } from '../utils/idempotencyUtils.js';
+import workQueue, { registerProcessor } from '../utils/queueUtils.js';
+import { ConversationManager } from '../utils/conversationUtils.js';
+import '../utils/conversationFlows.js';
+import { isProfanityFree, isNotSpam, parseDuration, logModerationAction } from '../utils/moderationUtils.js';
+import { searchFaq } from '../utils/faqUtils.js';
+import { ingestTelegramFiles } from '../utils/mediaUtils.js';
+import { formatSlaSummary } from '../utils/slaUtils.js';
+import { isResolvedStatus, formatStatus, formatTimeline } from '../utils/ticketLifecycleUtils.js';
 
 /**
  * @typedef {import('../types/monitoring.js').TelegramContext} TelegramContext
@@ -10,6 +20,8 @@ import Analytics from '../utils/analyticsUtils.js';
  * @typedef {import('../types.js').LambdaResponse} LambdaResponse
  * @typedef {import('../types.js').TicketData} TicketData
  * @typedef {import('../types.js').TicketResponse} TicketResponse
+ * @typedef {import('../utils/conversationUtils.js').ConversationReply} ConversationReply
+ * @typedef {import('grammy/types').InlineQueryResultArticle} InlineQueryResultArticle
  */
 
 if (!process.env.TELEGRAM_BOT_TOKEN) {
@@ -18,130 +30,461 @@ if (!process.env.TELEGRAM_BOT_TOKEN) {
 
 const bot = new Bot(process.env.TELEGRAM_BOT_TOKEN);
 
-/** @type {Record<string, { category?: string, respondingTo?: string }>} */
-const tempTicketData = {};
+const TICKETS_PER_PAGE = 5;
+
+const PRIVATE_CHAT_PROMPT = 'Please send me a private message to continue.';
+
+// Message fields carrying files that can be attached to tickets
+const TELEGRAM_FILE_FIELDS = ['photo', 'document', 'voice', 'audio', 'video'];
+
+// Telegram accepts at most 50 inline results per answer
+const INLINE_RESULT_LIMIT = 50;
 
 /**
- * Handle ticket response
- * @param {string} ticketId - Ticket ID
- * @param {string} userId - User ID
- * @param {string} messageText - Message text
+ * Send a conversation reply, rendering options as inline buttons
+ * @param {TelegramContext} ctx - Bot context
+ * @param {ConversationReply} reply - Conversation reply
  */
-async function handleTicketResponse(ticketId, userId, messageText) {
-    await TicketManager.addResponse(ticketId, {
-        userId,
-        content: messageText,
-        timestamp: new Date().toISOString(),
-        isStaff: false
-    });
+async function replyWithConversation(ctx, reply) {
+    await ctx.reply(reply.text, reply.options ? {
+        reply_markup: {
+            inline_keyboard: reply.options.map(option => [
+                { text: option.label, callback_data: `conv:${option.value}` }
+            ])
+        }
+    } : undefined);
 }
 
 /**
- * Create a new ticket
- * @param {string} userId - User ID
- * @param {string} category - Ticket category
- * @param {string} messageText - Ticket description
- * @returns {Promise<TicketData>}
+ * Start a conversation flow. Conversations are stored per user, so they only
+ * run in private chats; anywhere else messages from other members and other
+ * groups would be taken as answers.
+ * @param {TelegramContext} ctx - Bot context
+ * @param {string} userId - Telegram user ID
+ * @param {string} flowName - Flow to start
+ * @param {Record<string, string>} [initialData] - Answers known up front
  */
-async function createNewTicket(userId, category, messageText) {
-    const ticketData = {
-        userId,
+async function startConversation(ctx, userId, flowName, initialData) {
+    if (!isPrivateChat(ctx)) {
+        await ctx.reply(PRIVATE_CHAT_PROMPT);
+        return;
+    }
+
+    await replyWithConversation(ctx, await ConversationManager.start('telegram', userId, flowName, initialData));
+}
+
+/**
+ * Close or reopen a ticket owned by the user
+ * @param {TicketData} ticket - Ticket
+ * @param {'close' | 'reopen'} action - Action to take
+ * @returns {Promise<{ ticket: TicketData, message: string }>} Updated ticket and confirmation
+ */
+async function changeTicketStatus(ticket, action) {
+    if (action === 'close' && ticket.status === 'closed') {
+        return { ticket, message: `Ticket #${ticket.id} is already closed.` };
+    }
+    if (action === 'reopen' && !isResolvedStatus(ticket.status)) {
+        return { ticket, message: `Ticket #${ticket.id} is not resolved or closed.` };
+    }
+
+    const status = action === 'close' ? 'closed' : 'open';
+    // Only the ticket owner can change its status on Telegram
+    const change = await TicketManager.updateStatus(ticket.id, status, {
+        userId: ticket.userId,
         platform: 'telegram',
-        category,
-        subject: messageText.split('\n')[0] || 'No subject',
-        description: messageText,
-        metadata: {},
-        status: 'open'
+        isStaff: false
+    });
+
+    return {
+        ticket: { ...ticket, status, history: [...(ticket.history || []), change] },
+        message: `Ticket #${ticket.id} ${action === 'close' ? 'closed' : 'reopened'}.`
     };
+}
 
-    return await TicketManager.createTicket(ticketData);
+/**
+ * Build the close or reopen button for a ticket
+ * @param {TicketData} ticket - Ticket
+ * @param {string} [suffix] - Label suffix
+ * @returns {{ text: string, callback_data: string }}
+ */
+function statusButton(ticket, suffix = '') {
+    return isResolvedStatus(ticket.status)
+        ? { text: `Reopen${suffix}`, callback_data: `ticket:reopen:${ticket.id}` }
+        : { text: `Close${suffix}`, callback_data: `ticket:close:${ticket.id}` };
+}
+
+/**
+ * Build one page of the ticket browser
+ * @param {string} userId - Telegram user ID
+ * @param {number} page - Zero-based page number
+ * @returns {Promise<{ text: string, extra?: Record<string, any> }>}
+ */
+async function buildTicketList(userId, page) {
+    const tickets = (await TicketManager.getUserTickets(userId))
+        .filter(ticket => ticket.platform === 'telegram')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    if (!tickets.length) {
+        return { text: 'You have no tickets. Use /ticket new to open one.' };
+    }
+
+    const pageCount = Math.ceil(tickets.length / TICKETS_PER_PAGE);
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = current * TICKETS_PER_PAGE;
+    const pageTickets = tickets.slice(start, start + TICKETS_PER_PAGE);
+
+    const text = `🎫 Your Tickets (page ${current + 1}/${pageCount})\n\n` + pageTickets.map((ticket, i) =>
+        `${start + i + 1}. ${ticket.subject}\nStatus: ${formatStatus(ticket.status)}`
+    ).join('\n\n');
+
+    const keyboard = pageTickets.map((ticket, i) => [
+        { text: `View ${start + i + 1}`, callback_data: `ticket:view:${ticket.id}` },
+        { text: `Respond ${start + i + 1}`, callback_data: `ticket:respond:${ticket.id}` },
+        statusButton(ticket, ` ${start + i + 1}`)
+    ]);
+
+    const navigation = [];
+    if (current > 0) {
+        navigation.push({ text: '◀ Previous', callback_data: `ticket:list:${current - 1}` });
+    }
+    if (current < pageCount - 1) {
+        navigation.push({ text: 'Next ▶', callback_data: `ticket:list:${current + 1}` });
+    }
+    if (navigation.length) {
+        keyboard.push(navigation);
+    }
+
+    return { text, extra: { reply_markup: { inline_keyboard: keyboard } } };
+}
+
+/**
+ * Build the detail view of a ticket
+ * @param {TicketData} ticket - Ticket
+ * @returns {{ text: string, extra: Record<string, any> }}
+ */
+function buildTicketView(ticket) {
+    const responseList = ticket.responses?.map(response =>
+        `From: ${response.isStaff ? 'Support' : 'You'}\n${response.content || ''}` +
+        (response.attachments?.length ? `\n📎 ${response.attachments.length} attachment(s)` : '') +
+        `\n(${new Date(response.timestamp).toLocaleString()})`
+    ).join('\n\n') || 'No responses yet';
+
+    return {
+        text:
+            `🎫 #${ticket.id}\n` +
+            `Status: ${formatStatus(ticket.status)}\n` +
+            `Category: ${ticket.category}\n` +
+            `Subject: ${ticket.subject}\n\n` +
+            `Description: ${ticket.description}\n` +
+            (ticket.attachments?.length ? `📎 ${ticket.attachments.length} attachment(s)\n` : '') +
+            (ticket.sla ? `\nSLA:\n${formatSlaSummary(ticket).join('\n')}\n` : '') +
+            (ticket.history?.length ? `\nHistory:\n${formatTimeline(ticket).join('\n')}\n` : '') +
+            `\nResponses:\n${responseList}`,
+        extra: {
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: 'Respond', callback_data: `ticket:respond:${ticket.id}` },
+                        statusButton(ticket)
+                    ],
+                    [{ text: '« Back to list', callback_data: 'ticket:list:0' }]
+                ]
+            }
+        }
+    };
 }
 
 /**
  * Handle ticket commands
  * @param {TelegramContext} ctx - Bot context
  * @param {string} command - Command name
+ * @param {string[]} [args] - Command arguments
  */
-async function handleTicketCommand(ctx, command) {
+async function handleTicketCommand(ctx, command, args = []) {
     if (!ctx.from?.id) return;
     const userId = ctx.from.id.toString();
 
     switch (command) {
         case 'new': {
-            await ctx.reply('Please select a ticket category:', {
-                reply_markup: {
-                    inline_keyboard: [
-                        [{ text: 'Technical Support', callback_data: 'ticket:category:tech' }],
-                        [{ text: 'Account Issues', callback_data: 'ticket:category:account' }],
-                        [{ text: 'Feature Request', callback_data: 'ticket:category:feature' }],
-                        [{ text: 'Other', callback_data: 'ticket:category:other' }]
-                    ]
-                }
-            });
+            await startConversation(ctx, userId, 'ticket_create');
             break;
         }
         case 'list': {
-            const tickets = await TicketManager.getUserTickets(userId);
-            if (!tickets.length) {
-                await ctx.reply('You have no open tickets.');
+            // Ticket lists would show the user's tickets to everyone in a group
+            if (!isPrivateChat(ctx)) {
+                await ctx.reply(PRIVATE_CHAT_PROMPT);
+                return;
+            }
+
+            const { text, extra } = await buildTicketList(userId, 0);
+            await ctx.reply(text, extra);
+            break;
+        }
+        case 'status':
+        case 'close':
+        case 'reopen':
+        case 'reply': {
+            const [ticketId, ...rest] = args;
+            if (!ticketId) {
+                await ctx.reply(`Usage: /ticket ${command} <ticket_id>${command === 'reply' ? ' [message]' : ''}`);
+                return;
+            }
+
+            const ticket = await TicketManager.getOwnedTicket(ticketId, userId, 'telegram');
+            if (!ticket) {
+                await ctx.reply('Ticket not found.');
                 return;
             }
 
-            const ticketList = tickets.map(ticket =>
-                `🎫 #${ticket.id}\nStatus: ${ticket.status}\nSubject: ${ticket.subject}`
-            ).join('\n\n');
+            if (command === 'status') {
+                if (!isPrivateChat(ctx)) {
+                    await ctx.reply(PRIVATE_CHAT_PROMPT);
+                    return;
+                }
+
+                const { text, extra } = buildTicketView(ticket);
+                await ctx.reply(text, extra);
+            } else if (command === 'reply') {
+                const content = rest.join(' ');
+                if (!content) {
+                    await startConversation(ctx, userId, 'ticket_reply', { ticketId: ticket.id });
+                    return;
+                }
 
-            await ctx.reply(ticketList);
+                await TicketManager.addResponse(ticket.id, {
+                    userId,
+                    content,
+                    timestamp: new Date().toISOString(),
+                    isStaff: false
+                });
+                await ctx.reply(`Response added to ticket #${ticket.id}.`);
+            } else {
+                const { message } = await changeTicketStatus(ticket, command);
+                await ctx.reply(message);
+            }
             break;
         }
         default:
-            await ctx.reply('Unknown ticket command. Available commands: /ticket new, /ticket list');
+            await ctx.reply(
+                'Unknown ticket command. Available commands:\n' +
+                '/ticket new\n/ticket list\n/ticket status <id>\n/ticket reply <id> [message]\n' +
+                '/ticket close <id>\n/ticket reopen <id>'
+            );
     }
 }
 
 /**
  * Handle callback queries
- * @param {TelegramCallbackContext} ctx - Callback query context
+ * @param {TelegramContext & TelegramCallbackContext} ctx - Callback query context
+ * @returns {Promise<string|undefined>} Notification text for the callback answer
  */
 async function handleCallbackQuery(ctx) {
     const userId = ctx.from.id.toString();
     const data = ctx.callbackQuery.data;
 
-    if (data.startsWith('ticket:category:')) {
-        const category = data.split(':')[2];
-        tempTicketData[userId] = { category };
-        await ctx.reply('Please reply to this message with your ticket description.');
+    if (data.startsWith('conv:')) {
+        if (!isPrivateChat(ctx)) return;
+        const reply = await ConversationManager.handleInput('telegram', userId, data.substring(5));
+        await (reply
+            ? replyWithConversation(ctx, reply)
+            : ctx.reply('This conversation has expired. Please start again.'));
         return;
     }
 
-    if (data.startsWith('ticket:view:')) {
-        const ticketId = data.split(':')[2];
-        const ticket = await TicketManager.getTicket(ticketId);
+    if (!data.startsWith('ticket:')) return;
+    // Ticket buttons edit the message in place, so keep them out of groups
+    if (!isPrivateChat(ctx)) return PRIVATE_CHAT_PROMPT;
+    const [, action, argument] = data.split(':');
+
+    if (action === 'list') {
+        const { text, extra } = await buildTicketList(userId, parseInt(argument, 10) || 0);
+        await ctx.editMessageText(text, extra);
+        return;
+    }
 
-        if (!ticket) {
-            await ctx.reply('Ticket not found.');
+    const ticket = await TicketManager.getOwnedTicket(argument, userId, 'telegram');
+    if (!ticket) {
+        return 'Ticket not found.';
+    }
+
+    switch (action) {
+        case 'view': {
+            const { text, extra } = buildTicketView(ticket);
+            await ctx.editMessageText(text, extra);
+            return;
+        }
+        case 'respond':
+            await startConversation(ctx, userId, 'ticket_reply', { ticketId: ticket.id });
             return;
+        case 'close':
+        case 'reopen': {
+            const result = await changeTicketStatus(ticket, action);
+            const { text, extra } = buildTicketView(result.ticket);
+            await ctx.editMessageText(text, extra);
+            return result.message;
         }
+        default:
+            return 'Unknown action.';
+    }
+}
 
-        const responseList = ticket.responses?.map(response =>
-            `From: ${response.userId}\n${response.content}\n(${new Date(response.timestamp).toLocaleString()})`
-        ).join('\n\n') || 'No responses yet';
+/**
+ * Check whether the chat is a private chat with the bot
+ * @param {TelegramContext} ctx - Bot context
+ * @returns {boolean}
+ */
+function isPrivateChat(ctx) {
+    return ctx.chat?.type === 'private';
+}
 
-        await ctx.reply(
-            `🎫 #${ticket.id}\n` +
-            `Status: ${ticket.status}\n` +
-            `Category: ${ticket.category}\n` +
-            `Subject: ${ticket.subject}\n\n` +
-            `Description: ${ticket.description}\n\n` +
-            `Responses:\n${responseList}`
-        );
+/**
+ * Check whether the chat is a group or supergroup
+ * @param {TelegramContext} ctx - Bot context
+ * @returns {boolean}
+ */
+function isGroupChat(ctx) {
+    return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+}
+
+/**
+ * Check whether a user is an administrator of the chat
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<boolean>}
+ */
+async function isChatAdmin(chatId, userId) {
+    const member = await bot.api.getChatMember(chatId, userId);
+    return member.status === 'creator' || member.status === 'administrator';
+}
+
+/**
+ * Apply the moderation checks to a message. Offending group messages are
+ * deleted; in private chats the user is told why the message was ignored.
+ * @param {TelegramContext} ctx - Bot context
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} True if the message violated a rule
+ */
+async function enforceContentRules(ctx, text) {
+    const reason = !isProfanityFree(text) ? 'inappropriate content'
+        : !isNotSpam(text) ? 'spam'
+            : null;
+    if (!reason || !ctx.from?.id) return false;
+
+    if (!isGroupChat(ctx)) {
+        await ctx.reply(reason === 'spam'
+            ? 'Your message has been flagged as spam.'
+            : 'Your message contains inappropriate content.');
+        return true;
+    }
+
+    try {
+        await bot.api.deleteMessage(ctx.chat.id, ctx.message.message_id);
+    } catch (error) {
+        // The bot needs the "delete messages" admin right
+        console.error('Error deleting Telegram message:', error);
+        return true;
+    }
+
+    await logModerationAction({
+        platform: 'telegram',
+        chatId: ctx.chat.id.toString(),
+        targetUserId: ctx.from.id.toString(),
+        moderatorId: 'auto',
+        action: 'delete',
+        reason
+    });
+    return true;
+}
+
+/**
+ * Handle admin moderation commands in group chats. The target is the author
+ * of the replied-to message, or a numeric user ID given as the first argument.
+ * @param {TelegramContext} ctx - Bot context
+ * @param {'warn' | 'mute' | 'ban' | 'unban'} action - Moderation command
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<void>}
+ */
+async function handleModerationCommand(ctx, action, args) {
+    if (!ctx.from?.id) return;
+    if (!isGroupChat(ctx)) {
+        await ctx.reply('Moderation commands only work in groups.');
+        return;
+    }
+
+    if (!(await isChatAdmin(ctx.chat.id, ctx.from.id))) {
+        await ctx.reply('Only chat administrators can use this command.');
+        return;
     }
 
-    if (data.startsWith('ticket:respond:')) {
-        const ticketId = data.split(':')[2];
-        tempTicketData[userId] = { respondingTo: ticketId };
-        await ctx.reply('Please reply to this message with your response.');
+    const replyTarget = ctx.message.reply_to_message?.from;
+    const target = replyTarget
+        ? { id: replyTarget.id, name: replyTarget.first_name }
+        : /^\d+$/.test(args[0] || '') ? { id: parseInt(args.shift() || '', 10), name: '' } : null;
+    if (!target) {
+        await ctx.reply(`Reply to a message from the user, or pass their user ID: /${action} <user_id>`);
+        return;
     }
+    const targetName = target.name || `User ${target.id}`;
+
+    let targetIsAdmin;
+    try {
+        targetIsAdmin = await isChatAdmin(ctx.chat.id, target.id);
+    } catch (error) {
+        // Telegram rejects lookups of IDs that never joined the chat
+        if (error instanceof GrammyError && error.error_code === 400) {
+            await ctx.reply('User not found.');
+            return;
+        }
+        throw error;
+    }
+
+    if (action !== 'unban' && targetIsAdmin) {
+        await ctx.reply('Administrators cannot be moderated.');
+        return;
+    }
+
+    let durationMs;
+    let durationText = '';
+    if (action === 'mute') {
+        durationText = args.shift() || '';
+        durationMs = parseDuration(durationText) || undefined;
+        if (!durationMs) {
+            await ctx.reply('Usage: /mute <duration> [reason], e.g. /mute 10m or /mute 2h spamming');
+            return;
+        }
+    }
+    const reason = args.join(' ') || undefined;
+
+    switch (action) {
+        case 'warn':
+            await ctx.reply(`⚠️ ${targetName}, you have been warned${reason ? `: ${reason}` : '.'}`);
+            break;
+        case 'mute':
+            // Telegram treats restrictions under 30 seconds as permanent
+            await bot.api.restrictChatMember(ctx.chat.id, target.id, { can_send_messages: false }, {
+                until_date: Math.floor((Date.now() + Math.max(durationMs, 30 * 1000)) / 1000)
+            });
+            await ctx.reply(`🔇 ${targetName} has been muted for ${durationText}.`);
+            break;
+        case 'ban':
+            await bot.api.banChatMember(ctx.chat.id, target.id);
+            await ctx.reply(`🚫 ${targetName} has been banned.`);
+            break;
+        case 'unban':
+            await bot.api.unbanChatMember(ctx.chat.id, target.id, { only_if_banned: true });
+            await ctx.reply(`✅ ${targetName} has been unbanned.`);
+            break;
+    }
+
+    await logModerationAction({
+        platform: 'telegram',
+        chatId: ctx.chat.id.toString(),
+        targetUserId: target.id.toString(),
+        moderatorId: ctx.from.id.toString(),
+        action,
+        reason,
+        durationMs
+    });
 }
 
 /**
@@ -149,32 +492,30 @@ async function handleCallbackQuery(ctx) {
  * @param {TelegramContext} ctx - Bot context
  */
 async function handleMessage(ctx) {
-    if (!ctx.message?.text || !ctx.from?.id) return;
+    if (!ctx.message || !ctx.from?.id) return;
 
     const userId = ctx.from.id.toString();
-    const messageText = ctx.message.text;
+    const messageText = ctx.message.text || ctx.message.caption || '';
+    const hasFile = TELEGRAM_FILE_FIELDS.some(field => ctx.message[field]);
+    if (!messageText && !hasFile) return;
 
-    if (ctx.message.reply_to_message && tempTicketData[userId]) {
-        const ticketData = tempTicketData[userId];
+    if (messageText && await enforceContentRules(ctx, messageText)) return;
 
-        if (ticketData.category) {
-            const ticket = await createNewTicket(userId, ticketData.category, messageText);
-            delete tempTicketData[userId];
-            await ctx.reply(
-                `Ticket created! #${ticket.id}\n` +
-                'Use /ticket list to view your tickets.'
-            );
-            return;
-        }
+    if (!messageText.startsWith('/') && isPrivateChat(ctx)) {
+        // Files are only stored while a ticket conversation is waiting for them
+        const attachments = hasFile && await ConversationManager.get('telegram', userId)
+            ? await ingestTelegramFiles(userId, ctx.message)
+            : [];
 
-        if (ticketData.respondingTo) {
-            await handleTicketResponse(ticketData.respondingTo, userId, messageText);
-            delete tempTicketData[userId];
-            await ctx.reply('Response added to ticket.');
+        const reply = await ConversationManager.handleInput('telegram', userId, messageText, attachments);
+        if (reply) {
+            await replyWithConversation(ctx, reply);
             return;
         }
     }
 
+    if (!messageText) return;
+
     // Save interaction
     await DynamoDBUtils.saveInteraction(
         userId,
@@ -182,6 +523,7 @@ async function handleMessage(ctx) {
         {
             type: 'message',
             content: messageText,
+            eventId: ctx.update_id?.toString(),
             timestamp: new Date().toISOString()
         }
     );
@@ -198,6 +540,146 @@ async function handleMessage(ctx) {
     }
 }
 
+/**
+ * Answer inline queries (`@bot <text>`) with matching FAQ entries and the
+ * user's own tickets
+ * @param {Record<string, any>} inlineQuery - Telegram inline query
+ * @returns {Promise<void>}
+ */
+async function handleInlineQuery(inlineQuery) {
+    const userId = inlineQuery.from.id.toString();
+    const query = (inlineQuery.query || '').trim();
+    const normalized = query.toLowerCase();
+
+    /** @type {InlineQueryResultArticle[]} */
+    const faqResults = searchFaq(query, INLINE_RESULT_LIMIT).map(entry => ({
+        type: 'article',
+        id: `faq:${entry.id}`,
+        title: `❓ ${entry.question}`,
+        description: entry.answer.substring(0, 100),
+        input_message_content: {
+            message_text: `❓ ${entry.question}\n\n${entry.answer}`
+        }
+    }));
+
+    const tickets = (await TicketManager.getUserTickets(userId))
+        .filter(ticket => ticket.platform === 'telegram')
+        .filter(ticket => !normalized ||
+            ticket.id.toLowerCase().includes(normalized) ||
+            ticket.subject.toLowerCase().includes(normalized) ||
+            ticket.status.toLowerCase() === normalized)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    /** @type {InlineQueryResultArticle[]} */
+    const ticketResults = tickets.map(ticket => ({
+        type: 'article',
+        id: `ticket:${ticket.id}`,
+        title: `🎫 ${ticket.subject}`,
+        description: `Status: ${formatStatus(ticket.status)} · #${ticket.id}`,
+        input_message_content: {
+            message_text:
+                `🎫 #${ticket.id}\n` +
+                `Status: ${formatStatus(ticket.status)}\n` +
+                `Category: ${ticket.category}\n` +
+                `Subject: ${ticket.subject}`
+        }
+    }));
+
+    // Results include the user's tickets, so they must not be cached for others
+    await bot.api.answerInlineQuery(
+        inlineQuery.id,
+        [...ticketResults, ...faqResults].slice(0, INLINE_RESULT_LIMIT),
+        { cache_time: 10, is_personal: true }
+    );
+}
+
+/**
+ * Build a bot context from a raw update
+ * @param {Record<string, any>} update - Telegram update
+ * @returns {TelegramContext & TelegramCallbackContext}
+ */
+function createContext(update) {
+    const message = update.message || update.callback_query?.message;
+
+    return {
+        update_id: update.update_id,
+        message: update.message,
+        from: update.message?.from || update.callback_query?.from,
+        chat: message?.chat,
+        callbackQuery: update.callback_query,
+        reply: async (text, extra) => bot.api.sendMessage(message.chat.id, text, extra),
+        editMessageText: async (text, extra) => {
+            try {
+                await bot.api.editMessageText(message.chat.id, message.message_id, text, extra);
+            } catch (error) {
+                // Re-rendering an unchanged view is not an error
+                if (!(error instanceof GrammyError && error.description.includes('message is not modified'))) throw error;
+            }
+        },
+        answerCallbackQuery: async (text) =>
+            bot.api.answerCallbackQuery(update.callback_query.id, text ? { text } : undefined)
+    };
+}
+
+/**
+ * Process a queued Telegram update
+ * @param {Record<string, any>} update - Telegram update
+ * @returns {Promise<void>}
+ */
+async function processTelegramUpdate(update) {
+    const ctx = createContext(update);
+
+    if (update.callback_query) {
+        let answer;
+        try {
+            answer = await handleCallbackQuery(ctx);
+        } finally {
+            // Always stop the button's loading spinner, even when handling failed
+            await ctx.answerCallbackQuery(answer).catch(error =>
+                console.error('Error answering callback query:', error)
+            );
+        }
+    } else if (update.inline_query) {
+        await handleInlineQuery(update.inline_query);
+    } else if (update.message) {
+        if (update.message.text?.startsWith('/')) {
+            // Service messages can arrive without a sender
+            if (!update.message.from?.id) return;
+            // Command arguments end up in tickets and replies, so they get the
+            // same content checks as plain messages
+            if (await enforceContentRules(ctx, update.message.text)) return;
+
+            const [commandToken, ...args] = update.message.text.substring(1).split(/\s+/);
+            const command = commandToken.split('@')[0];
+            const userId = update.message.from.id.toString();
+
+            if (command === 'ticket') {
+                await handleTicketCommand(ctx, args[0] || 'help', args.slice(1));
+            } else if (['warn', 'mute', 'ban', 'unban'].includes(command)) {
+                await handleModerationCommand(ctx, /** @type {'warn' | 'mute' | 'ban' | 'unban'} */ (command), args);
+            } else if (command === 'link') {
+                await startConversation(ctx, userId, 'link_account');
+            } else if (command === 'cancel' || command === 'back') {
+                const reply = isPrivateChat(ctx) && await ConversationManager.handleInput('telegram', userId, command);
+                await (reply
+                    ? replyWithConversation(ctx, reply)
+                    : ctx.reply('There is no conversation in progress.'));
+            } else if (command === 'stats') {
+                await handleMessage(ctx);
+            } else {
+                await ctx.reply(
+                    'Unknown command. Available commands:\n/ticket new\n/ticket list\n/link\n/cancel\n/stats\n\n' +
+                    'Group admins: /warn, /mute <duration>, /ban, /unban'
+                );
+            }
+        } else {
+            await handleMessage(ctx);
+        }
+    }
+}
+
+registerProcessor('telegram', processTelegramUpdate);
+
 /**
  * Lambda handler for Telegram bot
  * @param {LambdaEvent} event - Lambda event
@@ -205,37 +687,20 @@ async function handleMessage(ctx) {
  */
 export const handler = async (event) => {
     try {
-        // Parse update from event body
-        const update = JSON.parse(event.body || '{}');
-
-        // Handle different types of updates
-        if (update.callback_query) {
-            const ctx = {
-                ...update,
-                reply: async (text, extra) => bot.api.sendMessage(update.callback_query.message.chat.id, text, extra)
-            };
-            await handleCallbackQuery(ctx);
-        } else if (update.message) {
-            const ctx = {
-                ...update,
-                reply: async (text, extra) => bot.api.sendMessage(update.message.chat.id, text, extra)
-            };
-
-            if (update.message.text?.startsWith('/')) {
-                const command = update.message.text.substring(1).split('@')[0];
-                if (command.startsWith('ticket')) {
-                    const subCommand = command.split(' ')[1];
-                    await handleTicketCommand(ctx, subCommand || 'help');
-                } else if (command === 'stats') {
-                    await handleMessage(ctx);
-                } else {
-                    await ctx.reply('Unknown command. Available commands:\n/ticket new\n/ticket list\n/stats');
-                }
-            } else {
-                await handleMessage(ctx);
-            }
+        if (!verifyTelegramSecret(event.headers)) {
+            return await rejectRequest('telegram', 'Invalid secret token', event);
         }
 
+        // Parse update from event body
+        const update = JSON.parse(getRawBody(event) || '{}');
+        const eventId = update.update_id?.toString();
+
+        // Telegram redelivers updates that were not acknowledged in time, so
+        // acknowledge right away and let the queue consumer do the work
+        await IdempotencyStore.processOnce('telegram', eventId, () =>
+            workQueue.enqueue({ source: 'telegram', eventId, payload: update })
+        );
+
         return {
             statusCode: 200,
             body: JSON.stringify({ ok: true })
@@ -250,4 +715,4 @@ export const handler = async (event) => {
             })
         };
     }
-};
\ No newline at end of file
+};
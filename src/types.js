@@ -25,6 +25,7 @@
  * @property {number} uniqueUsers - Number of unique users
  * @property {number} messageCount - Number of messages
  * @property {number} commandCount - Number of commands
+ * @property {number} [moderationCount] - Number of moderation actions
  * @property {number} engagementRate - Engagement rate calculation
  */
 
@@ -34,6 +35,7 @@
  * @property {'weekly'} period - Report period
  * @property {Record<string, PlatformStats>} platformStats - Stats by platform
  * @property {number} totalInteractions - Total interactions across all platforms
+ * @property {Record<string, import('./types/monitoring.js').DeliveryStats>} [deliveryStats] - Outbound delivery stats by Meta platform
  */
 
 /**
@@ -62,6 +64,7 @@
 /**
  * @typedef {Object} TicketData
  * @property {string} id - Unique ticket ID
+ * @property {'ticket'} [type] - Record type
  * @property {string} userId - User ID
  * @property {string} platform - Platform name
  * @property {string} subject - Ticket subject
@@ -70,9 +73,41 @@
  * @property {Record<string, any>} metadata - Additional metadata
  * @property {string} status - Ticket status
  * @property {string} [priority] - Ticket priority
+ * @property {string} [assignee] - Discord user ID of the assigned staff member
+ * @property {string} [assignedAt] - Assignment timestamp
+ * @property {TicketSla} [sla] - Service level targets
+ * @property {TicketStatusChange[]} [history] - Status changes, oldest first
  * @property {TicketResponse[]} responses - Ticket responses
+ * @property {MediaAttachment[]} [attachments] - Files attached when the ticket was opened
  * @property {string} createdAt - Creation timestamp
  * @property {string} updatedAt - Last update timestamp
+ * @property {string} [timestamp] - Sort key of the type index; the creation timestamp
+ */
+
+/**
+ * @typedef {Object} TicketActor
+ * @property {string} userId - User ID on the platform the change was made from
+ * @property {string} platform - Platform the change was made from
+ * @property {boolean} isStaff - Whether the actor is staff
+ */
+
+/**
+ * @typedef {Object} TicketStatusChange
+ * @property {string|null} from - Previous status, null when the ticket was opened
+ * @property {string} to - New status
+ * @property {string} userId - Actor's user ID
+ * @property {string} platform - Platform the change was made from
+ * @property {boolean} isStaff - Whether the actor is staff
+ * @property {string} [comment] - Reason for the change
+ * @property {string} timestamp - ISO timestamp of the change
+ */
+
+/**
+ * @typedef {Object} TicketSla
+ * @property {string} policy - Name of the SLA policy applied
+ * @property {string} firstResponseDueAt - Deadline for the first staff response
+ * @property {string} resolutionDueAt - Deadline for resolving or closing the ticket
+ * @property {('first_response' | 'resolution')[]} breaches - Targets already flagged as missed
  */
 
 /**
@@ -81,13 +116,25 @@
  * @property {string} content - Response content
  * @property {boolean} isStaff - Whether the response is from staff
  * @property {string} timestamp - ISO timestamp of the response
+ * @property {MediaAttachment[]} [attachments] - Files attached to the response
+ */
+
+/**
+ * @typedef {Object} MediaAttachment
+ * @property {'image' | 'audio' | 'video' | 'document' | 'sticker' | 'voice' | 'location' | 'contacts' | 'other'} type - Attachment type
+ * @property {string} [path] - Object path in the storage bucket
+ * @property {string} [mimeType] - MIME type of the stored file
+ * @property {number} [size] - Size of the stored file in bytes
+ * @property {string} [fileName] - Original file name
+ * @property {Record<string, any>} [data] - Structured content (locations, contacts)
+ * @property {string} [error] - Error message if ingestion failed
  */
 
 /**
  * @typedef {Object} InteractionData
  * @property {string} userId - User ID
  * @property {string} platform - Platform name
- * @property {'message' | 'command' | 'reaction' | 'ticket'} type - Interaction type
+ * @property {'message' | 'command' | 'reaction' | 'ticket' | 'moderation' | 'message_edit' | 'message_delete' | 'member_join' | 'member_leave'} type - Interaction type
  * @property {Record<string, any>} content - Interaction content
  * @property {string} timestamp - ISO timestamp
  * @property {Record<string, any>} [metadata] - Additional metadata
@@ -136,6 +183,8 @@
  * @property {Record<string, string>} headers - Request headers
  * @property {Record<string, string>} queryStringParameters - Query parameters
  * @property {string} httpMethod - HTTP method
+ * @property {boolean} [isBase64Encoded] - Whether body is base64
+ * @property {{ identity?: { sourceIp?: string } }} [requestContext] - API Gateway request context
  * @property {string} [taskType] - Task type for scheduled events
  */
 
@@ -1,25 +1,79 @@
+/**
+ * @typedef {Object} WhatsAppMedia
+ * @property {string} id - Media ID
+ * @property {string} [mime_type] - MIME type
+ * @property {string} [caption] - Media caption
+ * @property {string} [filename] - Document file name
+ */
+
 /**
  * @typedef {Object} WhatsAppMessage
+ * @property {string} id - WhatsApp message ID (WAMID)
  * @property {string} from - Sender ID
  * @property {Object} [text] - Text message content
  * @property {string} [text.body] - Message body
  * @property {string} type - Message type
  * @property {string} timestamp - Message timestamp
+ * @property {WhatsAppMedia} [image] - Image content
+ * @property {WhatsAppMedia} [audio] - Audio content
+ * @property {WhatsAppMedia} [video] - Video content
+ * @property {WhatsAppMedia} [document] - Document content
+ * @property {WhatsAppMedia} [sticker] - Sticker content
+ * @property {Record<string, any>} [location] - Shared location
+ * @property {Record<string, any>[]} [contacts] - Shared contacts
+ * @property {{ type: string, button_reply?: { id: string, title: string } }} [interactive] - Interactive reply
  * @property {Object[]} [attachments] - Message attachments
  */
 
 /**
  * @typedef {Object} FacebookMessage
+ * @property {string} mid - Message ID
  * @property {string} from - Sender ID
  * @property {string} text - Message text
- * @property {Object[]} [attachments] - Message attachments
+ * @property {{ payload: string }} [quick_reply] - Quick reply payload
+ * @property {{ type: string, payload?: Record<string, any> }[]} [attachments] - Message attachments
  */
 
 /**
  * @typedef {Object} InstagramMessage
+ * @property {string} mid - Message ID
  * @property {string} from - Sender ID
  * @property {string} text - Message text
- * @property {Object[]} [attachments] - Message attachments
+ * @property {{ payload: string }} [quick_reply] - Quick reply payload
+ * @property {{ type: string, payload?: Record<string, any> }[]} [attachments] - Message attachments
+ */
+
+/**
+ * @typedef {Object} WhatsAppStatus
+ * @property {string} id - WhatsApp message ID (WAMID)
+ * @property {'sent' | 'delivered' | 'read' | 'failed'} status - Delivery status
+ * @property {string} timestamp - Unix timestamp in seconds
+ * @property {string} recipient_id - Recipient phone number
+ * @property {{ code: number, title: string }[]} [errors] - Delivery errors
+ */
+
+/**
+ * @typedef {Object} MessageButton
+ * @property {string} title - Button label
+ * @property {string} [payload] - Payload returned when the button is tapped
+ * @property {string} [url] - URL opened by the button (Messenger/Instagram only)
+ */
+
+/**
+ * @typedef {Object} OutboundMessage
+ * @property {'text' | 'quick_replies' | 'buttons' | 'media' | 'template'} type - Message type
+ * @property {string} [text] - Message text, or body for quick replies and buttons
+ * @property {MessageButton[]} [replies] - Quick replies
+ * @property {MessageButton[]} [buttons] - Template buttons
+ * @property {'image' | 'audio' | 'video' | 'document'} [mediaType] - Media type
+ * @property {string} [url] - Public URL of the media
+ * @property {string} [caption] - Media caption
+ * @property {string} [filename] - Document file name
+ * @property {string} [templateName] - Approved WhatsApp template name
+ * @property {string} [language] - Template language code
+ * @property {Object[]} [components] - Template components
+ * @property {{ name: string, parameters: Record<string, string> }} [fallbackTemplate] - WhatsApp template used outside the 24-hour window
+ * @property {'HUMAN_AGENT'} [messageTag] - Messenger and Instagram tag used outside the 24-hour window
  */
 
 /**
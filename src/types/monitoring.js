@@ -37,9 +37,37 @@
  * @property {number} uniqueUsers - Unique users count
  * @property {number} messageCount - Message count
  * @property {number} commandCount - Command count
+ * @property {number} [moderationCount] - Moderation action count
  * @property {number} engagementRate - User engagement rate
  */
 
+/**
+ * @typedef {Object} GuildStats
+ * @property {string} guildId - Discord guild ID
+ * @property {number} activeMembers - Members with at least one interaction
+ * @property {number} messageCount - Messages posted
+ * @property {number} editCount - Messages edited
+ * @property {number} deleteCount - Messages deleted
+ * @property {number} reactionCount - Reactions added
+ * @property {number} reactionRemovedCount - Reactions removed
+ * @property {Record<string, number>} topReactions - Reactions added by emoji
+ * @property {number} joins - Members who joined
+ * @property {number} leaves - Members who left
+ * @property {number|null} churnRate - Leaves / members at the start of the period, when the member count is known
+ * @property {number|null} retentionRate - Share of members who joined in the period and are still in the guild
+ */
+
+/**
+ * @typedef {Object} DeliveryStats
+ * @property {number} totalSent - Outbound messages sent
+ * @property {number} delivered - Messages delivered (including read)
+ * @property {number} read - Messages read
+ * @property {number} failed - Messages that failed to deliver
+ * @property {number} deliveryRate - Delivered / sent
+ * @property {number} readRate - Read / sent
+ * @property {number} failureRate - Failed / sent
+ */
+
 /**
  * @typedef {Object} UserEngagement
  * @property {number} totalInteractions - Total user interactions
@@ -60,6 +88,7 @@
 
 /**
  * @typedef {Object} TelegramContext
+ * @property {number} [update_id] - Telegram update ID
  * @property {Object} message - Message object
  * @property {Object} [from] - Sender info
  * @property {number} [from.id] - Sender ID
@@ -75,7 +104,12 @@
  * @property {number} from.id - Sender ID
  * @property {Object} callbackQuery - Callback query data
  * @property {string} callbackQuery.data - Query data
+ * @property {Object} [chat] - Chat the buttons were sent in
+ * @property {number} chat.id - Chat ID
+ * @property {string} chat.type - Chat type
  * @property {Function} reply - Reply function
+ * @property {Function} editMessageText - Edit the message the buttons belong to
+ * @property {Function} answerCallbackQuery - Answer the callback query
  */
 
 export { };
\ No newline at end of file
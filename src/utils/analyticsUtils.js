@@ -7,11 +7,16 @@ import discordNotifications from './discordNotificationUtils.js';
  * @typedef {import('../types.js').PlatformStats} PlatformStats
  * @typedef {import('../types.js').InteractionData} InteractionData
  * @typedef {import('../types/monitoring.js').UserEngagement} UserEngagement
+ * @typedef {import('../types/monitoring.js').DeliveryStats} DeliveryStats
+ * @typedef {import('../types/monitoring.js').GuildStats} GuildStats
  */
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION });
 const docClient = DynamoDBDocumentClient.from(client);
 
+// Interaction types recorded for Discord guild activity
+const GUILD_EVENT_TYPES = ['message', 'message_edit', 'message_delete', 'reaction', 'member_join', 'member_leave'];
+
 class Analytics {
     /**
      * Get user engagement metrics
@@ -97,6 +102,7 @@ class Analytics {
         const uniqueUsers = new Set(filteredInteractions.map(item => item.userId)).size;
         const messageCount = filteredInteractions.filter(item => item.type === 'message').length;
         const commandCount = filteredInteractions.filter(item => item.type === 'command').length;
+        const moderationCount = filteredInteractions.filter(item => item.type === 'moderation').length;
         const engagementRate = filteredInteractions.length / Math.max(uniqueUsers, 1);
 
         return {
@@ -104,10 +110,121 @@ class Analytics {
             uniqueUsers,
             messageCount,
             commandCount,
+            moderationCount,
             engagementRate
         };
     }
 
+    /**
+     * Get activity, churn and retention statistics for a Discord guild
+     * @param {string} guildId - Guild ID
+     * @param {number} days - Number of days to analyze
+     * @param {number} [memberCount] - Current member count, needed for the churn rate
+     * @returns {Promise<GuildStats>}
+     */
+    static async getGuildStats(guildId, days, memberCount) {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+
+        const events = (await Promise.all(GUILD_EVENT_TYPES.map(type => DynamoDBUtils.query({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            IndexName: 'type-timestamp-index',
+            KeyConditionExpression: '#type = :type AND #timestamp >= :start',
+            FilterExpression: '#platform = :platform AND #guildId = :guildId',
+            ExpressionAttributeNames: {
+                '#type': 'type',
+                '#timestamp': 'timestamp',
+                '#platform': 'platform',
+                '#guildId': 'guildId'
+            },
+            ExpressionAttributeValues: {
+                ':type': type,
+                ':start': startDate.toISOString(),
+                ':platform': 'discord',
+                ':guildId': guildId
+            }
+        })))).flat();
+
+        /** @param {string} type */
+        const ofType = type => events.filter(item => item.type === type);
+        const reactionsAdded = ofType('reaction').filter(item => item.action === 'add');
+        const joins = ofType('member_join');
+        const leaves = ofType('member_leave');
+
+        // Members whose last membership event in the period is a join
+        /** @type {Map<string, string>} */
+        const lastMembershipEvent = new Map();
+        for (const item of [...joins, ...leaves].sort((a, b) => a.timestamp.localeCompare(b.timestamp))) {
+            lastMembershipEvent.set(item.userId, item.type);
+        }
+        const joinedMembers = new Set(joins.map(item => item.userId));
+        const retained = [...joinedMembers].filter(userId => lastMembershipEvent.get(userId) === 'member_join').length;
+
+        const startingMembers = memberCount !== undefined ? memberCount - joins.length + leaves.length : 0;
+
+        return {
+            guildId,
+            activeMembers: new Set(events.map(item => item.userId)).size,
+            messageCount: ofType('message').length,
+            editCount: ofType('message_edit').length,
+            deleteCount: ofType('message_delete').length,
+            reactionCount: reactionsAdded.length,
+            reactionRemovedCount: ofType('reaction').length - reactionsAdded.length,
+            topReactions: reactionsAdded.reduce((acc, item) => {
+                acc[item.content] = (acc[item.content] || 0) + 1;
+                return acc;
+            }, /** @type {Record<string, number>} */({})),
+            joins: joins.length,
+            leaves: leaves.length,
+            churnRate: startingMembers > 0 ? leaves.length / startingMembers : null,
+            retentionRate: joinedMembers.size ? retained / joinedMembers.size : null
+        };
+    }
+
+    /**
+     * Get outbound message delivery statistics
+     * @param {string} platform - Platform name
+     * @param {number} days - Number of days to analyze
+     * @returns {Promise<DeliveryStats>}
+     */
+    static async getDeliveryStats(platform, days) {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+
+        const outbound = await DynamoDBUtils.query({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            IndexName: 'type-timestamp-index',
+            KeyConditionExpression: '#type = :type AND #timestamp >= :start',
+            FilterExpression: '#recipientPlatform = :platform',
+            ExpressionAttributeNames: {
+                '#type': 'type',
+                '#timestamp': 'timestamp',
+                '#recipientPlatform': 'recipientPlatform'
+            },
+            ExpressionAttributeValues: {
+                ':type': 'outbound_message',
+                ':start': startDate.toISOString(),
+                ':platform': platform
+            }
+        });
+
+        const totalSent = outbound.length;
+        const delivered = outbound.filter(item => item.status === 'delivered' || item.status === 'read').length;
+        const read = outbound.filter(item => item.status === 'read').length;
+        const failed = outbound.filter(item => item.status === 'failed').length;
+        const total = Math.max(totalSent, 1);
+
+        return {
+            totalSent,
+            delivered,
+            read,
+            failed,
+            deliveryRate: delivered / total,
+            readRate: read / total,
+            failureRate: failed / total
+        };
+    }
+
     /**
      * Get active hours from interactions
      * @private
@@ -4,6 +4,7 @@ import { createGzip, createGunzip } from 'node:zlib';
 import { pipeline } from 'node:stream/promises';
 import { Buffer } from 'node:buffer';
 import discordNotifications from './discordNotificationUtils.js';
+import Analytics from './analyticsUtils.js';
 
 /**
  * @typedef {import('../types.js').BackupStats} BackupStats
@@ -89,6 +90,9 @@ class BackupSystem {
         try {
             const stats = await this.calculateStats();
             await this.saveReport(stats);
+            if (stats.deliveryStats) {
+                await discordNotifications.sendDeliveryReport(stats.deliveryStats);
+            }
             return stats;
         } catch (error) {
             console.error('Report generation failed:', error);
@@ -176,12 +180,19 @@ class BackupSystem {
             totalInteractions += platformData.length;
         }
 
+        // Delivery receipts are only reported by the Meta platforms
+        const deliveryPlatforms = ['whatsapp', 'facebook', 'instagram'];
+        const deliveryStats = await Promise.all(
+            deliveryPlatforms.map(platform => Analytics.getDeliveryStats(platform, 7))
+        );
+
         /** @type {import('../types.js').WeeklyReport} */
         const report = {
             timestamp: new Date().toISOString(),
             period: 'weekly',
             platformStats,
-            totalInteractions
+            totalInteractions,
+            deliveryStats: Object.fromEntries(deliveryPlatforms.map((platform, i) => [platform, deliveryStats[i]]))
         };
 
         await DynamoDBUtils.putItem({
@@ -1,3 +1,5 @@
+import { readFileSync } from 'node:fs';
+
 /**
  * @typedef {Object} PlatformConfig
  * @property {string} apiVersion - API version
@@ -11,6 +13,28 @@
  * @typedef {import('../types.js').BotConfig} BotConfig
  */
 
+/**
+ * Base URL for Meta Graph API calls
+ */
+export const GRAPH_API_URL = 'https://graph.facebook.com/v17.0';
+
+/** @type {Map<string, any>} */
+const configFileCache = new Map();
+
+/**
+ * Load a JSON file from the repository's config directory
+ * @param {string} fileName - File name inside config/
+ * @returns {any} Parsed configuration
+ */
+export function loadConfigFile(fileName) {
+    if (!configFileCache.has(fileName)) {
+        const url = new URL(`../../config/${fileName}`, import.meta.url);
+        configFileCache.set(fileName, JSON.parse(readFileSync(url, 'utf8')));
+    }
+
+    return configFileCache.get(fileName);
+}
+
 /**
  * Validate required environment variables
  * @param {string[]} requiredVars - Array of required environment variable names
@@ -101,5 +125,6 @@ export function getPlatformToken(platform) {
 
 export default {
     getPlatformConfig,
-    getPlatformToken
+    getPlatformToken,
+    loadConfigFile
 };
\ No newline at end of file
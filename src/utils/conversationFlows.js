@@ -0,0 +1,122 @@
+import { ConversationManager } from './conversationUtils.js';
+import { TicketManager, getTicketCategories } from './ticketUtils.js';
+import { UserUtils } from './userUtils.js';
+
+/**
+ * @typedef {import('./conversationUtils.js').ConversationFlow} ConversationFlow
+ */
+
+/** @type {ConversationFlow} */
+const ticketCreateFlow = {
+    name: 'ticket_create',
+    steps: [
+        {
+            key: 'category',
+            prompt: 'Please select a ticket category:',
+            options: getTicketCategories()
+        },
+        {
+            key: 'description',
+            prompt: 'Please describe your issue. The first line is used as the ticket subject. You can also send screenshots or files.',
+            acceptsAttachments: true,
+            validate: input => input.length >= 10
+                ? null
+                : 'Please describe your issue in at least 10 characters.'
+        }
+    ],
+    onComplete: async ({ platform, userId, data, attachments }) => {
+        const ticket = await TicketManager.createTicket({
+            userId,
+            platform,
+            category: data.category,
+            subject: data.description.split('\n')[0] || 'No subject',
+            description: data.description,
+            metadata: {},
+            status: 'open',
+            attachments
+        });
+
+        return attachments.length
+            ? `Ticket created with ${attachments.length} attachment(s)! #${ticket.id}`
+            : `Ticket created! #${ticket.id}`;
+    }
+};
+
+/** @type {ConversationFlow} */
+const ticketReplyFlow = {
+    name: 'ticket_reply',
+    steps: [
+        {
+            key: 'ticketId',
+            prompt: 'Which ticket do you want to respond to? Send the ticket ID.'
+        },
+        {
+            key: 'content',
+            prompt: 'Please send your response. You can also send screenshots or files.',
+            acceptsAttachments: true,
+            validate: (input, data, attachments) => input || attachments.length ? null : 'Your response cannot be empty.'
+        }
+    ],
+    onComplete: async ({ platform, userId, data, attachments }) => {
+        const ticket = await TicketManager.getOwnedTicket(data.ticketId, userId, platform);
+        if (!ticket) {
+            return 'Ticket not found.';
+        }
+
+        await TicketManager.addResponse(ticket.id, {
+            userId,
+            content: data.content,
+            timestamp: new Date().toISOString(),
+            isStaff: false,
+            attachments
+        });
+
+        return 'Response added to ticket.';
+    }
+};
+
+/** @type {ConversationFlow} */
+const linkAccountFlow = {
+    name: 'link_account',
+    steps: [
+        {
+            key: 'mode',
+            prompt: 'Link this account with one on another platform:',
+            options: [
+                { label: 'Get a link code', value: 'create' },
+                { label: 'Enter a link code', value: 'redeem' }
+            ]
+        },
+        {
+            key: 'code',
+            prompt: 'Send the link code shown on your other account.',
+            when: data => data.mode === 'redeem',
+            validate: input => /^[A-Za-z0-9]{8}$/.test(input)
+                ? null
+                : 'Link codes are 8 letters or digits. Please check the code and try again.'
+        }
+    ],
+    onComplete: async ({ platform, userId, data }) => {
+        if (data.mode === 'create') {
+            const code = await UserUtils.createLinkCode(platform, userId);
+            return `Your link code is ${code}. Enter it on your other account within 10 minutes.`;
+        }
+
+        try {
+            await UserUtils.redeemLinkCode(data.code, platform, userId);
+            return 'Your accounts are now linked.';
+        } catch (error) {
+            return error instanceof Error ? error.message : 'Could not link your accounts.';
+        }
+    }
+};
+
+ConversationManager.registerFlow(ticketCreateFlow);
+ConversationManager.registerFlow(ticketReplyFlow);
+ConversationManager.registerFlow(linkAccountFlow);
+
+export {
+    ticketCreateFlow,
+    ticketReplyFlow,
+    linkAccountFlow
+};
@@ -0,0 +1,303 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+// Abandoned conversations expire after 30 minutes
+const DEFAULT_TTL_SECONDS = 30 * 60;
+
+const CANCEL_COMMANDS = ['cancel', 'stop'];
+const BACK_COMMANDS = ['back'];
+
+/**
+ * @typedef {import('../types.js').MediaAttachment} MediaAttachment
+ */
+
+/**
+ * @typedef {Object} ConversationOption
+ * @property {string} label - Text shown to the user
+ * @property {string} value - Value stored when the option is chosen
+ */
+
+/**
+ * @typedef {Object} ConversationStep
+ * @property {string} key - Data key the answer is stored under
+ * @property {string} prompt - Question sent to the user
+ * @property {ConversationOption[]} [options] - Allowed answers
+ * @property {(data: Record<string, string>) => boolean} [when] - Only ask when this returns true
+ * @property {boolean} [acceptsAttachments] - Whether files sent at this step are kept
+ * @property {(input: string, data: Record<string, string>, attachments: MediaAttachment[]) => string|null} [validate] - Returns an error message for invalid input
+ */
+
+/**
+ * @typedef {Object} ConversationFlow
+ * @property {string} name - Flow name
+ * @property {ConversationStep[]} steps - Steps in the order they are asked
+ * @property {(context: { platform: string, userId: string, data: Record<string, string>, attachments: MediaAttachment[] }) => Promise<string>} onComplete - Runs once every step is answered and returns the final message
+ */
+
+/**
+ * @typedef {Object} ConversationState
+ * @property {string} flow - Flow name
+ * @property {string} step - Key of the step awaiting an answer
+ * @property {Record<string, string>} data - Collected answers
+ * @property {string[]} history - Keys answered by the user, most recent last
+ * @property {MediaAttachment[]} attachments - Files collected so far
+ */
+
+/**
+ * @typedef {Object} ConversationReply
+ * @property {string} text - Message to send
+ * @property {ConversationOption[]} [options] - Options for the current step
+ * @property {boolean} done - Whether the conversation has ended
+ */
+
+/** @type {Map<string, ConversationFlow>} */
+const flows = new Map();
+
+/**
+ * Multi-step conversations persisted in DynamoDB so they survive cold
+ * starts and are shared between instances
+ */
+export class ConversationManager {
+    /**
+     * Register a conversation flow
+     * @param {ConversationFlow} flow - Flow definition
+     */
+    static registerFlow(flow) {
+        flows.set(flow.name, flow);
+    }
+
+    /**
+     * Build the record key for a conversation
+     * @private
+     * @param {string} platform - Platform name
+     * @param {string} userId - User ID
+     * @returns {string}
+     */
+    static key(platform, userId) {
+        return `conversation_${platform}_${userId}`;
+    }
+
+    /**
+     * Get the active conversation for a user
+     * @param {string} platform - Platform name
+     * @param {string} userId - User ID
+     * @returns {Promise<ConversationState|null>}
+     */
+    static async get(platform, userId) {
+        const response = await docClient.send(new GetCommand({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: this.key(platform, userId) }
+        }));
+
+        // TTL deletion can lag, so treat expired records as absent
+        if (!response.Item || response.Item.expiresAt < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+
+        return {
+            flow: response.Item.flow,
+            step: response.Item.step,
+            data: response.Item.data || {},
+            history: response.Item.history || [],
+            attachments: response.Item.attachments || []
+        };
+    }
+
+    /**
+     * Persist a conversation and extend its expiry
+     * @private
+     * @param {string} platform - Platform name
+     * @param {string} userId - User ID
+     * @param {ConversationState} state - Conversation state
+     * @returns {Promise<void>}
+     */
+    static async save(platform, userId, state) {
+        const ttl = parseInt(process.env.CONVERSATION_TTL_SECONDS || String(DEFAULT_TTL_SECONDS));
+
+        await docClient.send(new PutCommand({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Item: {
+                id: this.key(platform, userId),
+                type: 'conversation',
+                conversationPlatform: platform,
+                participantId: userId,
+                ...state,
+                updatedAt: new Date().toISOString(),
+                expiresAt: Math.floor(Date.now() / 1000) + ttl
+            }
+        }));
+    }
+
+    /**
+     * End a user's conversation
+     * @param {string} platform - Platform name
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    static async clear(platform, userId) {
+        await docClient.send(new DeleteCommand({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: this.key(platform, userId) }
+        }));
+    }
+
+    /**
+     * Start a flow, replacing any conversation in progress. Steps already
+     * answered by `initialData` are skipped.
+     * @param {string} platform - Platform name
+     * @param {string} userId - User ID
+     * @param {string} flowName - Flow to start
+     * @param {Record<string, string>} [initialData] - Answers known up front
+     * @returns {Promise<ConversationReply>}
+     * @throws {Error} If the flow is not registered
+     */
+    static async start(platform, userId, flowName, initialData = {}) {
+        const flow = flows.get(flowName);
+        if (!flow) {
+            throw new Error(`Unknown conversation flow: ${flowName}`);
+        }
+
+        const reply = await this.advance(platform, userId, flow, {
+            flow: flowName,
+            step: '',
+            data: { ...initialData },
+            history: [],
+            attachments: []
+        });
+
+        return reply.done
+            ? reply
+            : { ...reply, text: `${reply.text}\n\n(Reply "cancel" to stop or "back" to change your last answer.)` };
+    }
+
+    /**
+     * Feed user input into the active conversation
+     * @param {string} platform - Platform name
+     * @param {string} userId - User ID
+     * @param {string} input - Message text or selected option value
+     * @param {MediaAttachment[]} [attachments] - Files sent with the message
+     * @returns {Promise<ConversationReply|null>} Null when no conversation is active
+     */
+    static async handleInput(platform, userId, input, attachments = []) {
+        const state = await this.get(platform, userId);
+        if (!state) return null;
+
+        const flow = flows.get(state.flow);
+        const step = flow?.steps.find(s => s.key === state.step);
+        if (!flow || !step) {
+            await this.clear(platform, userId);
+            return null;
+        }
+
+        const text = input.trim();
+        const command = text.toLowerCase().replace(/^[/!]/, '');
+
+        if (CANCEL_COMMANDS.includes(command)) {
+            await this.clear(platform, userId);
+            return { text: 'Cancelled.', done: true };
+        }
+
+        if (BACK_COMMANDS.includes(command)) {
+            const previousKey = state.history.pop();
+            if (!previousKey) {
+                return { text: `This is the first step.\n\n${step.prompt}`, options: step.options, done: false };
+            }
+
+            delete state.data[previousKey];
+            return await this.advance(platform, userId, flow, state);
+        }
+
+        if (attachments.length) {
+            if (!step.acceptsAttachments) {
+                return { text: `Files are not accepted at this step.\n\n${step.prompt}`, options: step.options, done: false };
+            }
+            state.attachments.push(...attachments);
+
+            // A file without text is kept while the step waits for an answer
+            if (!text && step.validate?.('', state.data, state.attachments)) {
+                await this.save(platform, userId, state);
+                return { text: `📎 Attachment saved. ${step.prompt}`, done: false };
+            }
+        }
+
+        let value = text;
+        if (step.options) {
+            const option = this.matchOption(step.options, text);
+            if (!option) {
+                return { text: `Please choose one of the options.\n\n${step.prompt}`, options: step.options, done: false };
+            }
+            value = option.value;
+        }
+
+        const error = step.validate?.(value, state.data, state.attachments);
+        if (error) {
+            if (attachments.length) {
+                await this.save(platform, userId, state);
+            }
+            return { text: error, options: step.options, done: false };
+        }
+
+        state.data[step.key] = value;
+        state.history.push(step.key);
+        return await this.advance(platform, userId, flow, state);
+    }
+
+    /**
+     * Match input against step options by value, label or 1-based number
+     * @private
+     * @param {ConversationOption[]} options - Step options
+     * @param {string} input - User input
+     * @returns {ConversationOption|undefined}
+     */
+    static matchOption(options, input) {
+        const normalized = input.toLowerCase();
+        const index = parseInt(normalized, 10);
+
+        return options.find(option =>
+            option.value.toLowerCase() === normalized ||
+            option.label.toLowerCase() === normalized
+        ) || (String(index) === normalized ? options[index - 1] : undefined);
+    }
+
+    /**
+     * Ask the next unanswered step, or complete the flow
+     * @private
+     * @param {string} platform - Platform name
+     * @param {string} userId - User ID
+     * @param {ConversationFlow} flow - Flow definition
+     * @param {ConversationState} state - Conversation state
+     * @returns {Promise<ConversationReply>}
+     */
+    static async advance(platform, userId, flow, state) {
+        const next = flow.steps.find(step =>
+            state.data[step.key] === undefined && (!step.when || step.when(state.data))
+        );
+
+        if (!next) {
+            // Clear only after completion so a failed run can be retried
+            const text = await flow.onComplete({ platform, userId, data: state.data, attachments: state.attachments });
+            await this.clear(platform, userId);
+            return { text, done: true };
+        }
+
+        state.step = next.key;
+        await this.save(platform, userId, state);
+        return { text: next.prompt, options: next.options, done: false };
+    }
+}
+
+/**
+ * Render a reply as plain text, listing options as numbered choices
+ * @param {ConversationReply} reply - Conversation reply
+ * @returns {string}
+ */
+export function formatConversationReply(reply) {
+    if (!reply.options?.length) return reply.text;
+
+    return `${reply.text}\n\n${reply.options.map((option, i) => `${i + 1}. ${option.label}`).join('\n')}`;
+}
+
+export default ConversationManager;
@@ -0,0 +1,176 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBUtils } from './dynamoDBUtils.js';
+
+/**
+ * @typedef {import('../types/meta.js').WhatsAppStatus} WhatsAppStatus
+ */
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+/**
+ * Ordering of delivery statuses; a record never moves backwards
+ * except to `failed`, which always wins.
+ * @type {Record<string, number>}
+ */
+const STATUS_RANK = {
+    sent: 1,
+    delivered: 2,
+    read: 3,
+    failed: 4
+};
+
+// Messenger only allows messages up to 7 days after the user's last message
+// (with the HUMAN_AGENT tag), so older messages cannot be unread
+const READ_WATERMARK_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Outbound message delivery tracking
+ */
+export class DeliveryTracker {
+    /**
+     * Record an outbound message as sent
+     * @param {string} platform - Platform name
+     * @param {string} recipientId - Recipient ID
+     * @param {string} messageId - Platform message ID (e.g. WAMID)
+     * @param {string} messageType - Outbound message type
+     * @returns {Promise<void>}
+     */
+    static async recordOutbound(platform, recipientId, messageId, messageType) {
+        const now = new Date().toISOString();
+
+        await docClient.send(new PutCommand({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Item: {
+                id: `outbound_${messageId}`,
+                type: 'outbound_message',
+                recipientPlatform: platform,
+                recipientId,
+                messageId,
+                messageType,
+                status: 'sent',
+                statusRank: STATUS_RANK.sent,
+                statusHistory: [{ status: 'sent', timestamp: now }],
+                sentAt: now,
+                statusUpdatedAt: now,
+                timestamp: now
+            },
+            // A status callback may have beaten us to it
+            ConditionExpression: 'attribute_not_exists(#id)',
+            ExpressionAttributeNames: { '#id': 'id' }
+        })).catch(error => {
+            if (!(error instanceof Error && error.name === 'ConditionalCheckFailedException')) throw error;
+        });
+    }
+
+    /**
+     * Apply a delivery status callback to the outbound message record
+     * @param {string} platform - Platform name
+     * @param {WhatsAppStatus} status - Status callback payload
+     * @returns {Promise<void>}
+     */
+    static async applyStatus(platform, status) {
+        const rank = STATUS_RANK[status.status];
+        if (!rank) return;
+
+        const timestamp = status.timestamp
+            ? new Date(Number(status.timestamp) * 1000).toISOString()
+            : new Date().toISOString();
+
+        const params = {
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: `outbound_${status.id}` },
+            UpdateExpression: 'SET #status = :status, #statusRank = :rank, #statusUpdatedAt = :timestamp, ' +
+                '#type = if_not_exists(#type, :type), #recipientPlatform = if_not_exists(#recipientPlatform, :platform), ' +
+                '#recipientId = if_not_exists(#recipientId, :recipientId), #messageId = if_not_exists(#messageId, :messageId), ' +
+                '#sentAt = if_not_exists(#sentAt, :timestamp), #timestamp = if_not_exists(#timestamp, :timestamp), ' +
+                '#statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :history)',
+            ConditionExpression: 'attribute_not_exists(#statusRank) OR #statusRank < :rank',
+            ExpressionAttributeNames: {
+                '#status': 'status',
+                '#statusRank': 'statusRank',
+                '#statusUpdatedAt': 'statusUpdatedAt',
+                '#type': 'type',
+                '#recipientPlatform': 'recipientPlatform',
+                '#recipientId': 'recipientId',
+                '#messageId': 'messageId',
+                '#sentAt': 'sentAt',
+                '#timestamp': 'timestamp',
+                '#statusHistory': 'statusHistory'
+            },
+            ExpressionAttributeValues: {
+                ':status': status.status,
+                ':rank': rank,
+                ':timestamp': timestamp,
+                ':type': 'outbound_message',
+                ':platform': platform,
+                ':recipientId': status.recipient_id,
+                ':messageId': status.id,
+                ':emptyList': [],
+                ':history': [{ status: status.status, timestamp }]
+            }
+        };
+
+        if (status.status === 'failed') {
+            const error = status.errors?.[0];
+            params.UpdateExpression += ', #error = :error';
+            params.ExpressionAttributeNames['#error'] = 'error';
+            params.ExpressionAttributeValues[':error'] = error
+                ? `${error.code}: ${error.title}`
+                : 'Unknown error';
+
+            console.warn(`Message ${status.id} to ${status.recipient_id} failed: ${params.ExpressionAttributeValues[':error']}`);
+        }
+
+        try {
+            await docClient.send(new UpdateCommand(params));
+        } catch (error) {
+            // Out-of-order callback for a status we have already passed
+            if (!(error instanceof Error && error.name === 'ConditionalCheckFailedException')) throw error;
+        }
+    }
+
+    /**
+     * Apply a Messenger read receipt. It carries a watermark instead of
+     * message IDs: every message sent before it has been read.
+     * @param {string} platform - Platform name
+     * @param {string} recipientId - User who read the messages
+     * @param {number} watermark - Read watermark in milliseconds
+     * @returns {Promise<void>}
+     */
+    static async applyReadWatermark(platform, recipientId, watermark) {
+        const messages = await DynamoDBUtils.query({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            IndexName: 'type-timestamp-index',
+            KeyConditionExpression: '#type = :type AND #timestamp BETWEEN :start AND :end',
+            FilterExpression: '#recipientPlatform = :platform AND #recipientId = :recipientId AND #statusRank < :rank',
+            ExpressionAttributeNames: {
+                '#type': 'type',
+                '#timestamp': 'timestamp',
+                '#recipientPlatform': 'recipientPlatform',
+                '#recipientId': 'recipientId',
+                '#statusRank': 'statusRank'
+            },
+            ExpressionAttributeValues: {
+                ':type': 'outbound_message',
+                ':start': new Date(watermark - READ_WATERMARK_LOOKBACK_MS).toISOString(),
+                ':end': new Date(watermark).toISOString(),
+                ':platform': platform,
+                ':recipientId': recipientId,
+                ':rank': STATUS_RANK.read
+            }
+        });
+
+        for (const message of messages) {
+            await this.applyStatus(platform, {
+                id: message.messageId,
+                status: 'read',
+                timestamp: String(Math.floor(watermark / 1000)),
+                recipient_id: recipientId
+            });
+        }
+    }
+}
+
+export default DeliveryTracker;
@@ -0,0 +1,150 @@
+import { REST, Routes } from 'discord.js';
+
+/**
+ * @typedef {Record<string, any>} CommandDefinition
+ */
+
+/**
+ * @typedef {Object} DeployOptions
+ * @property {string} [guildId] - Register in this guild instead of globally
+ * @property {boolean} [dryRun] - Report the changes without applying them
+ */
+
+/**
+ * @typedef {Object} DeployResult
+ * @property {string} scope - 'global' or the guild ID
+ * @property {string[]} created - Commands registered for the first time
+ * @property {string[]} updated - Commands whose schema changed
+ * @property {string[]} deleted - Registered commands with no definition
+ * @property {string[]} unchanged - Commands already up to date
+ */
+
+// Option fields that affect behaviour; localizations and server-side
+// defaults are ignored so unchanged commands are not re-sent
+const OPTION_FIELDS = [
+    'type',
+    'name',
+    'description',
+    'required',
+    'autocomplete',
+    'min_value',
+    'max_value',
+    'min_length',
+    'max_length',
+    'channel_types'
+];
+
+/**
+ * Normalize a command option for comparison
+ * @param {Record<string, any>} option - Command option
+ * @returns {Record<string, any>}
+ */
+function normalizeOption(option) {
+    /** @type {Record<string, any>} */
+    const normalized = {};
+    for (const field of OPTION_FIELDS) {
+        normalized[field] = option[field] ?? null;
+    }
+    normalized.required = option.required ?? false;
+    normalized.autocomplete = option.autocomplete ?? false;
+    normalized.choices = (option.choices || []).map(choice => ({ name: choice.name, value: choice.value }));
+    normalized.options = (option.options || []).map(normalizeOption);
+
+    return normalized;
+}
+
+/**
+ * Normalize a command for comparison
+ * @param {CommandDefinition} command - Local definition or registered command
+ * @returns {Record<string, any>}
+ */
+function normalizeCommand(command) {
+    return {
+        type: command.type ?? 1,
+        name: command.name,
+        description: command.description || '',
+        default_member_permissions: command.default_member_permissions ?? null,
+        nsfw: command.nsfw ?? false,
+        options: (command.options || []).map(normalizeOption)
+    };
+}
+
+/**
+ * Check whether a registered command matches its local definition
+ * @param {CommandDefinition} definition - Local definition
+ * @param {CommandDefinition} registered - Command returned by Discord
+ * @returns {boolean}
+ */
+export function isSameCommand(definition, registered) {
+    return JSON.stringify(normalizeCommand(definition)) === JSON.stringify(normalizeCommand(registered));
+}
+
+/**
+ * Register slash commands with Discord. Registered commands are diffed
+ * against the definitions: new ones are created, changed ones patched and
+ * stale ones deleted.
+ * @param {CommandDefinition[]} definitions - Command definitions
+ * @param {DeployOptions} [options] - Deploy options
+ * @returns {Promise<DeployResult>}
+ * @throws {Error} If the bot token or client ID is not configured
+ */
+export async function deployCommands(definitions, { guildId, dryRun = false } = {}) {
+    const token = process.env.DISCORD_BOT_TOKEN;
+    const clientId = process.env.DISCORD_CLIENT_ID;
+    if (!token || !clientId) {
+        throw new Error('DISCORD_BOT_TOKEN and DISCORD_CLIENT_ID must be configured');
+    }
+
+    const rest = new REST({ version: '10' }).setToken(token);
+    const listRoute = guildId
+        ? Routes.applicationGuildCommands(clientId, guildId)
+        : Routes.applicationCommands(clientId);
+    /** @param {string} commandId */
+    const commandRoute = commandId => guildId
+        ? Routes.applicationGuildCommand(clientId, guildId, commandId)
+        : Routes.applicationCommand(clientId, commandId);
+
+    const registered = /** @type {CommandDefinition[]} */ (await rest.get(listRoute));
+
+    /** @type {DeployResult} */
+    const result = {
+        scope: guildId || 'global',
+        created: [],
+        updated: [],
+        deleted: [],
+        unchanged: []
+    };
+
+    for (const definition of definitions) {
+        const existing = registered.find(command =>
+            command.name === definition.name && (command.type ?? 1) === (definition.type ?? 1)
+        );
+
+        if (!existing) {
+            if (!dryRun) await rest.post(listRoute, { body: definition });
+            result.created.push(definition.name);
+        } else if (!isSameCommand(definition, existing)) {
+            if (!dryRun) await rest.patch(commandRoute(existing.id), { body: definition });
+            result.updated.push(definition.name);
+        } else {
+            result.unchanged.push(definition.name);
+        }
+    }
+
+    for (const command of registered) {
+        const defined = definitions.some(definition =>
+            definition.name === command.name && (definition.type ?? 1) === (command.type ?? 1)
+        );
+        if (!defined) {
+            if (!dryRun) await rest.delete(commandRoute(command.id));
+            result.deleted.push(command.name);
+        }
+    }
+
+    return result;
+}
+
+export default {
+    deployCommands,
+    isSameCommand
+};
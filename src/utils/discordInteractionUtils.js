@@ -0,0 +1,345 @@
+import {
+    REST,
+    Routes,
+    InteractionType,
+    InteractionResponseType,
+    ApplicationCommandOptionType,
+    ComponentType,
+    MessageFlags
+} from 'discord.js';
+
+/**
+ * @typedef {Object} ReplyOptions
+ * @property {string} [content] - Message content
+ * @property {Record<string, any>[]} [embeds] - Embeds
+ * @property {Record<string, any>[]} [components] - Message components
+ * @property {boolean} [ephemeral] - Only show the message to the user
+ */
+
+// Interaction webhooks are authorized by the interaction token
+const rest = new REST({ version: '10' });
+
+/**
+ * Convert discord.js style reply options into an API message payload
+ * @param {string | ReplyOptions} options - Reply options
+ * @returns {Record<string, any>}
+ */
+function toMessageData(options) {
+    if (typeof options === 'string') {
+        return { content: options };
+    }
+
+    const { ephemeral, ...data } = options;
+    return ephemeral ? { ...data, flags: MessageFlags.Ephemeral } : data;
+}
+
+/**
+ * Read access to interaction options, mirroring discord.js
+ * `CommandInteractionOptionResolver`
+ */
+class HttpInteractionOptions {
+    /**
+     * @param {Record<string, any>[]} [options] - Raw interaction options
+     * @param {Record<string, any>} [resolved] - Users, members and roles referenced by the options
+     */
+    constructor(options = [], resolved = {}) {
+        this.resolved = resolved;
+        const nested = options.find(option =>
+            option.type === ApplicationCommandOptionType.SubcommandGroup ||
+            option.type === ApplicationCommandOptionType.Subcommand
+        );
+        const group = nested?.type === ApplicationCommandOptionType.SubcommandGroup ? nested : null;
+        const subcommand = group ? group.options?.[0] : nested;
+
+        this.group = group?.name || null;
+        this.subcommand = subcommand?.name || null;
+        /** @type {Record<string, any>[]} */
+        this.values = subcommand ? subcommand.options || [] : options;
+    }
+
+    /**
+     * Get the invoked subcommand
+     * @param {boolean} [required] - Throw if there is no subcommand
+     * @returns {string|null}
+     */
+    getSubcommand(required = true) {
+        if (required && !this.subcommand) {
+            throw new Error('Interaction has no subcommand');
+        }
+        return this.subcommand;
+    }
+
+    /**
+     * Get the invoked subcommand group
+     * @param {boolean} [required] - Throw if there is no subcommand group
+     * @returns {string|null}
+     */
+    getSubcommandGroup(required = false) {
+        if (required && !this.group) {
+            throw new Error('Interaction has no subcommand group');
+        }
+        return this.group;
+    }
+
+    /**
+     * Get an option value
+     * @param {string} name - Option name
+     * @param {boolean} [required] - Throw if the option is missing
+     * @returns {any}
+     */
+    get(name, required = false) {
+        const option = this.values.find(value => value.name === name);
+        if (required && option?.value === undefined) {
+            throw new Error(`Missing required option: ${name}`);
+        }
+        return option?.value ?? null;
+    }
+
+    /**
+     * Get the option the user is typing in an autocomplete interaction
+     * @param {boolean} [getFull] - Return the whole option instead of its value
+     * @returns {any}
+     * @throws {Error} If no option is focused
+     */
+    getFocused(getFull = false) {
+        const focused = this.values.find(value => value.focused);
+        if (!focused) {
+            throw new Error('Interaction has no focused option');
+        }
+        return getFull ? focused : focused.value;
+    }
+
+    /**
+     * @param {string} name - Option name
+     * @param {boolean} [required] - Throw if the option is missing
+     * @returns {string|null}
+     */
+    getString(name, required = false) {
+        return this.get(name, required);
+    }
+
+    /**
+     * @param {string} name - Option name
+     * @param {boolean} [required] - Throw if the option is missing
+     * @returns {number|null}
+     */
+    getInteger(name, required = false) {
+        return this.get(name, required);
+    }
+
+    /**
+     * @param {string} name - Option name
+     * @param {boolean} [required] - Throw if the option is missing
+     * @returns {boolean|null}
+     */
+    getBoolean(name, required = false) {
+        return this.get(name, required);
+    }
+
+    /**
+     * @param {string} name - Option name
+     * @param {boolean} [required] - Throw if the option is missing
+     * @returns {{ id: string, username: string }|null}
+     */
+    getUser(name, required = false) {
+        const userId = this.get(name, required);
+        return userId ? this.resolved.users?.[userId] || { id: userId, username: '' } : null;
+    }
+}
+
+/**
+ * Read access to submitted modal fields, mirroring discord.js
+ * `ModalSubmitFields`
+ */
+class HttpModalFields {
+    /**
+     * @param {Record<string, any>[]} [components] - Submitted modal components
+     */
+    constructor(components = []) {
+        // Fields arrive wrapped in labels or, in older modals, action rows
+        /** @type {Record<string, any>[]} */
+        this.fields = components.flatMap(component =>
+            component.component ? [component.component] : component.components || []
+        );
+    }
+
+    /**
+     * @param {string} customId - Field custom ID
+     * @param {number} type - Expected component type
+     * @returns {Record<string, any>}
+     */
+    getField(customId, type) {
+        const field = this.fields.find(value => value.custom_id === customId);
+        if (!field || field.type !== type) {
+            throw new Error(`Modal has no ${ComponentType[type]} field: ${customId}`);
+        }
+        return field;
+    }
+
+    /**
+     * @param {string} customId - Text input custom ID
+     * @returns {string}
+     */
+    getTextInputValue(customId) {
+        return this.getField(customId, ComponentType.TextInput).value;
+    }
+
+    /**
+     * @param {string} customId - String select custom ID
+     * @returns {string[]}
+     */
+    getStringSelectValues(customId) {
+        return this.getField(customId, ComponentType.StringSelect).values || [];
+    }
+}
+
+/**
+ * An interaction received over the HTTP interactions endpoint, exposing the
+ * subset of the discord.js `Interaction` API used by `discordBot.js`.
+ *
+ * Inline interactions collect their reply into `response`, which the
+ * handler returns as the HTTP body. Deferred interactions were already
+ * acknowledged, so replies edit the original response through the
+ * interaction webhook.
+ */
+export class HttpInteraction {
+    /**
+     * @param {Record<string, any>} payload - Raw interaction payload
+     * @param {{ deferred?: boolean }} [options] - Whether the interaction was deferred
+     */
+    constructor(payload, { deferred = false } = {}) {
+        this.raw = payload;
+        this.id = payload.id;
+        this.type = payload.type;
+        this.token = payload.token;
+        this.applicationId = payload.application_id;
+        this.commandName = payload.data?.name;
+        this.customId = payload.data?.custom_id;
+        /** @type {string[]} */
+        this.values = payload.data?.values || [];
+        this.guildId = payload.guild_id || null;
+        this.channelId = payload.channel_id || payload.channel?.id || null;
+        this.member = payload.member || null;
+        /** @type {{ id: string, username: string }} */
+        this.user = payload.member?.user || payload.user;
+        this.options = new HttpInteractionOptions(payload.data?.options, payload.data?.resolved);
+        this.fields = new HttpModalFields(payload.data?.components);
+        this.deferred = deferred;
+        this.replied = false;
+        /** @type {Record<string, any>|null} */
+        this.response = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isChatInputCommand() {
+        return this.type === InteractionType.ApplicationCommand && (this.raw.data?.type ?? 1) === 1;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isAutocomplete() {
+        return this.type === InteractionType.ApplicationCommandAutocomplete;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isButton() {
+        return this.type === InteractionType.MessageComponent && this.raw.data?.component_type === ComponentType.Button;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isStringSelectMenu() {
+        return this.type === InteractionType.MessageComponent && this.raw.data?.component_type === ComponentType.StringSelect;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isModalSubmit() {
+        return this.type === InteractionType.ModalSubmit;
+    }
+
+    /**
+     * Respond to an autocomplete interaction
+     * @param {{ name: string, value: string | number }[]} choices - Suggestions, at most 25
+     * @returns {Promise<void>}
+     */
+    async respond(choices) {
+        this.response = {
+            type: InteractionResponseType.ApplicationCommandAutocompleteResult,
+            data: { choices }
+        };
+        this.replied = true;
+    }
+
+    /**
+     * Respond by opening a modal
+     * @param {Record<string, any> | { toJSON(): Record<string, any> }} modal - Modal builder or API data
+     * @returns {Promise<void>}
+     * @throws {Error} If the interaction was already acknowledged
+     */
+    async showModal(modal) {
+        if (this.deferred || this.replied) {
+            throw new Error('A modal must be the first response to an interaction');
+        }
+
+        this.response = {
+            type: InteractionResponseType.Modal,
+            data: typeof modal.toJSON === 'function' ? modal.toJSON() : modal
+        };
+        this.replied = true;
+    }
+
+    /**
+     * Send the initial response
+     * @param {string | ReplyOptions} options - Reply options
+     * @returns {Promise<void>}
+     */
+    async reply(options) {
+        if (!this.deferred) {
+            // Not acknowledged yet, so the reply becomes the HTTP response
+            this.response = {
+                type: InteractionResponseType.ChannelMessageWithSource,
+                data: toMessageData(options)
+            };
+        } else if (this.replied) {
+            // A second reply (e.g. an error after a reply) becomes a follow-up
+            await this.followUp(options);
+        } else {
+            await this.editReply(options);
+        }
+        this.replied = true;
+    }
+
+    /**
+     * Edit the initial response
+     * @param {string | ReplyOptions} options - New message content
+     * @returns {Promise<void>}
+     */
+    async editReply(options) {
+        await rest.patch(Routes.webhookMessage(this.applicationId, this.token, '@original'), {
+            body: toMessageData(options),
+            auth: false
+        });
+    }
+
+    /**
+     * Send an additional message after the initial response
+     * @param {string | ReplyOptions} options - Message content
+     * @returns {Promise<void>}
+     */
+    async followUp(options) {
+        await rest.post(Routes.webhook(this.applicationId, this.token), {
+            body: toMessageData(options),
+            auth: false
+        });
+    }
+}
+
+export default HttpInteraction;
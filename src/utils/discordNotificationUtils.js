@@ -4,6 +4,7 @@ import { WebhookClient } from 'discord.js';
  * @typedef {import('../types/monitoring.js').SystemMetrics} SystemMetrics
  * @typedef {import('../types/monitoring.js').PlatformPerformance} PlatformPerformance
  * @typedef {import('../types/monitoring.js').InteractionStats} InteractionStats
+ * @typedef {import('../types/monitoring.js').DeliveryStats} DeliveryStats
  */
 
 /**
@@ -134,6 +135,34 @@ class DiscordNotifications {
         });
     }
 
+    /**
+     * Send outbound message delivery report
+     * @param {Record<string, DeliveryStats>} deliveryStats - Delivery stats by platform
+     */
+    static async sendDeliveryReport(deliveryStats) {
+        this.initialize();
+        if (!this.reportsWebhook) return;
+
+        /** @param {number} rate */
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+
+        await this.reportsWebhook.send({
+            embeds: [{
+                title: '📬 Weekly Message Delivery Report',
+                fields: Object.entries(deliveryStats).map(([platform, stats]) => ({
+                    name: platform.charAt(0).toUpperCase() + platform.slice(1),
+                    value: `Sent: ${stats.totalSent}\n` +
+                        `Delivered: ${percent(stats.deliveryRate)}\n` +
+                        `Read: ${percent(stats.readRate)}\n` +
+                        `Failed: ${percent(stats.failureRate)}`,
+                    inline: true
+                })),
+                color: Object.values(deliveryStats).some(stats => stats.failureRate > 0.05) ? 0xffaa00 : 0x00ff00,
+                timestamp: new Date().toISOString()
+            }]
+        });
+    }
+
     /**
      * Cleanup webhooks
      */
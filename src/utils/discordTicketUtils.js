@@ -0,0 +1,192 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import { REST, Routes, ChannelType, OverwriteType, PermissionFlagsBits } from 'discord.js';
+import { TicketManager } from './ticketUtils.js';
+import { formatStatus } from './ticketLifecycleUtils.js';
+
+/**
+ * @typedef {import('../types.js').TicketData} TicketData
+ */
+
+/**
+ * @typedef {Object} TicketChannelLink
+ * @property {string} id - `ticket_channel_<channelId>`
+ * @property {'ticket_channel'} type - Record type
+ * @property {string} channelId - Discord channel ID
+ * @property {string} guildId - Guild the channel belongs to
+ * @property {string} ticketId - Linked ticket ID
+ * @property {string} createdAt - Creation timestamp
+ */
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+// Permissions granted to the ticket creator and the staff role
+const TICKET_CHANNEL_PERMISSIONS = PermissionFlagsBits.ViewChannel |
+    PermissionFlagsBits.SendMessages |
+    PermissionFlagsBits.ReadMessageHistory |
+    PermissionFlagsBits.AttachFiles |
+    PermissionFlagsBits.EmbedLinks;
+
+/**
+ * @returns {REST}
+ */
+function getRestClient() {
+    return new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN || '');
+}
+
+/**
+ * Whether private ticket channels are configured
+ * @returns {boolean}
+ */
+export function isTicketChannelsEnabled() {
+    return Boolean(
+        process.env.DISCORD_BOT_TOKEN &&
+        process.env.DISCORD_SUPPORT_CATEGORY_ID &&
+        process.env.DISCORD_STAFF_ROLE_ID
+    );
+}
+
+/**
+ * Check whether a guild member has the staff role. Accepts both gateway
+ * members (`roles.cache`) and raw API members (`roles` as an ID array).
+ * @param {Record<string, any> | null | undefined} member - Guild member
+ * @returns {boolean}
+ */
+export function isStaffMember(member) {
+    const staffRoleId = process.env.DISCORD_STAFF_ROLE_ID;
+    if (!staffRoleId || !member?.roles) return false;
+
+    return Array.isArray(member.roles)
+        ? member.roles.includes(staffRoleId)
+        : Boolean(member.roles.cache?.has(staffRoleId));
+}
+
+/**
+ * Build the channel name for a ticket, e.g. `ticket-abcde`
+ * @param {TicketData} ticket - Ticket
+ * @returns {string}
+ */
+function channelName(ticket) {
+    const suffix = ticket.id.split('_').pop() || ticket.id;
+    return `ticket-${suffix}`.toLowerCase();
+}
+
+/**
+ * Find a channel already opened for a ticket. A queue retry of a failed
+ * attempt would otherwise open a second one, since the ticket only records
+ * its channel once the channel exists.
+ * @param {REST} rest - REST client
+ * @param {string} guildId - Guild ID
+ * @param {string} categoryId - Support category ID
+ * @param {TicketData} ticket - Ticket
+ * @returns {Promise<{ id: string } | undefined>}
+ */
+async function findTicketChannel(rest, guildId, categoryId, ticket) {
+    const channels = /** @type {{ id: string, parent_id?: string | null, topic?: string | null }[]} */ (
+        await rest.get(Routes.guildChannels(guildId))
+    );
+
+    return channels.find(channel =>
+        channel.parent_id === categoryId && channel.topic?.startsWith(`Ticket #${ticket.id}:`));
+}
+
+/**
+ * Open a private channel for a ticket in the support category. Only the
+ * ticket creator, the staff role and the bot can see it.
+ * @param {TicketData} ticket - Ticket created on Discord
+ * @returns {Promise<string>} Channel ID
+ * @throws {Error} If ticket channels are not configured
+ */
+export async function createTicketChannel(ticket) {
+    if (!isTicketChannelsEnabled()) {
+        throw new Error('DISCORD_BOT_TOKEN, DISCORD_SUPPORT_CATEGORY_ID and DISCORD_STAFF_ROLE_ID must be configured');
+    }
+
+    const rest = getRestClient();
+    const categoryId = /** @type {string} */ (process.env.DISCORD_SUPPORT_CATEGORY_ID);
+    const staffRoleId = /** @type {string} */ (process.env.DISCORD_STAFF_ROLE_ID);
+    const allow = TICKET_CHANNEL_PERMISSIONS.toString();
+
+    // The category determines which guild the channel is created in
+    const category = /** @type {{ guild_id: string }} */ (await rest.get(Routes.channel(categoryId)));
+    const guildId = category.guild_id;
+
+    const permissionOverwrites = [
+        // The @everyone role shares the guild's ID
+        { id: guildId, type: OverwriteType.Role, deny: PermissionFlagsBits.ViewChannel.toString() },
+        { id: staffRoleId, type: OverwriteType.Role, allow },
+        { id: ticket.userId, type: OverwriteType.Member, allow }
+    ];
+    if (process.env.DISCORD_CLIENT_ID) {
+        permissionOverwrites.push({ id: process.env.DISCORD_CLIENT_ID, type: OverwriteType.Member, allow });
+    }
+
+    const channel = await findTicketChannel(rest, guildId, categoryId, ticket) ||
+        /** @type {{ id: string }} */ (await rest.post(Routes.guildChannels(guildId), {
+            body: {
+                name: channelName(ticket),
+                type: ChannelType.GuildText,
+                parent_id: categoryId,
+                topic: `Ticket #${ticket.id}: ${ticket.subject}`.substring(0, 1024),
+                permission_overwrites: permissionOverwrites
+            },
+            reason: `Support ticket ${ticket.id}`
+        }));
+
+    /** @type {TicketChannelLink} */
+    const link = {
+        id: `ticket_channel_${channel.id}`,
+        type: 'ticket_channel',
+        channelId: channel.id,
+        guildId,
+        ticketId: ticket.id,
+        createdAt: new Date().toISOString()
+    };
+
+    await docClient.send(new PutCommand({
+        TableName: process.env.DYNAMODB_TABLE_NAME,
+        Item: link
+    }));
+    await TicketManager.updateMetadata(ticket.id, { discordChannelId: channel.id });
+
+    await rest.post(Routes.channelMessages(channel.id), {
+        body: {
+            content: `<@${ticket.userId}> <@&${staffRoleId}> a new ticket has been opened. Messages in this channel are added to the ticket.`,
+            embeds: [{
+                title: `🎫 Ticket #${ticket.id}`,
+                description: ticket.description.substring(0, 4096),
+                fields: [
+                    { name: 'Subject', value: ticket.subject.substring(0, 1024), inline: false },
+                    { name: 'Category', value: ticket.category, inline: true },
+                    { name: 'Status', value: formatStatus(ticket.status), inline: true }
+                ],
+                timestamp: ticket.createdAt
+            }],
+            allowed_mentions: { users: [ticket.userId], roles: [staffRoleId] }
+        }
+    });
+
+    return channel.id;
+}
+
+/**
+ * Find the ticket linked to a channel
+ * @param {string} channelId - Discord channel ID
+ * @returns {Promise<string|null>} Ticket ID
+ */
+export async function getTicketIdForChannel(channelId) {
+    const response = await docClient.send(new GetCommand({
+        TableName: process.env.DYNAMODB_TABLE_NAME,
+        Key: { id: `ticket_channel_${channelId}` }
+    }));
+
+    return response.Item ? /** @type {TicketChannelLink} */ (response.Item).ticketId : null;
+}
+
+export default {
+    isTicketChannelsEnabled,
+    isStaffMember,
+    createTicketChannel,
+    getTicketIdForChannel
+};
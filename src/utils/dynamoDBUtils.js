@@ -18,7 +18,8 @@ const docClient = DynamoDBDocumentClient.from(client);
  */
 export class DynamoDBUtils {
     /**
-     * Save interaction data
+     * Save interaction data. When `data.eventId` carries the platform
+     * message ID, a redelivered event overwrites its earlier record.
      * @param {string} userId - User ID
      * @param {string} platform - Platform name
      * @param {Record<string, any>} data - Interaction data
@@ -28,7 +29,9 @@ export class DynamoDBUtils {
         const params = {
             TableName: process.env.DYNAMODB_TABLE_NAME,
             Item: {
-                id: `${platform}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                id: data.eventId
+                    ? `${platform}_${data.eventId}`
+                    : `${platform}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                 userId,
                 platform,
                 ...data,
@@ -188,7 +191,7 @@ export class DynamoDBUtils {
 
     /**
      * Scan table for all items with pagination
-     * @param {{ TableName: string, Limit?: number }} params - Scan parameters
+     * @param {import('@aws-sdk/lib-dynamodb').ScanCommandInput} params - Scan parameters
      * @returns {Promise<Record<string, any>[]>}
      */
     static async scan(params) {
@@ -212,6 +215,32 @@ export class DynamoDBUtils {
         return items;
     }
 
+    /**
+     * Query the table or one of its indexes, following pagination
+     * @param {import('@aws-sdk/lib-dynamodb').QueryCommandInput} params - Query parameters
+     * @returns {Promise<Record<string, any>[]>}
+     */
+    static async query(params) {
+        const items = [];
+        let lastEvaluatedKey;
+
+        do {
+            const queryParams = {
+                ...params,
+                ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+            };
+
+            const response = await docClient.send(new QueryCommand(queryParams));
+            if (response.Items) {
+                items.push(...response.Items);
+            }
+
+            lastEvaluatedKey = response.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+
+        return items;
+    }
+
     /**
      * Put an item in the table
      * @param {{ TableName: string, Item: Record<string, any> }} params - Put parameters
@@ -233,11 +262,12 @@ export class DynamoDBUtils {
 
     /**
      * Update an item in the table
-     * @param {{ TableName: string, Key: Record<string, any>, UpdateExpression: string, ExpressionAttributeNames?: Record<string, string>, ExpressionAttributeValues: Record<string, any> }} params - Update parameters
-     * @returns {Promise<void>}
+     * @param {import('@aws-sdk/lib-dynamodb').UpdateCommandInput} params - Update parameters
+     * @returns {Promise<Record<string, any> | null>} Attributes requested with `ReturnValues`
      */
     static async updateItem(params) {
-        await docClient.send(new UpdateCommand(params));
+        const response = await docClient.send(new UpdateCommand(params));
+        return response?.Attributes || null;
     }
 
     /**
@@ -0,0 +1,55 @@
+import { loadConfigFile } from './configUtils.js';
+
+/**
+ * @typedef {Object} FaqEntry
+ * @property {string} id - Entry ID
+ * @property {string} question - Question text
+ * @property {string} answer - Answer text
+ * @property {string[]} [keywords] - Extra search terms
+ */
+
+/**
+ * Get all FAQ entries from config/faq.json
+ * @returns {FaqEntry[]}
+ */
+export function getFaqEntries() {
+    return loadConfigFile('faq.json').entries || [];
+}
+
+/**
+ * Search the FAQ. Entries are ranked by how many query words match the
+ * question, keywords and answer; an empty query returns the first entries.
+ * @param {string} query - Search text
+ * @param {number} [limit] - Maximum number of results
+ * @returns {FaqEntry[]}
+ */
+export function searchFaq(query, limit = 10) {
+    const entries = getFaqEntries();
+    const words = query.toLowerCase().split(/\W+/).filter(word => word.length > 1);
+    if (!words.length) return entries.slice(0, limit);
+
+    return entries
+        .map(entry => {
+            const question = entry.question.toLowerCase();
+            const keywords = (entry.keywords || []).map(keyword => keyword.toLowerCase());
+            const answer = entry.answer.toLowerCase();
+
+            // Question and keyword matches count more than answer matches
+            const score = words.reduce((sum, word) =>
+                sum +
+                (question.includes(word) ? 3 : 0) +
+                (keywords.some(keyword => keyword.startsWith(word)) ? 2 : 0) +
+                (answer.includes(word) ? 1 : 0), 0);
+
+            return { entry, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(result => result.entry);
+}
+
+export default {
+    getFaqEntries,
+    searchFaq
+};
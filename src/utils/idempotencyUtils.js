@@ -0,0 +1,106 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+// Meta retries failed webhooks for up to 7 days
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Idempotency store for webhook events, keyed on the platform message ID
+ */
+export class IdempotencyStore {
+    /**
+     * Build the record key for an event
+     * @private
+     * @param {string} platform - Platform name
+     * @param {string} eventId - Platform event ID (WAMID, mid, update_id)
+     * @returns {string}
+     */
+    static key(platform, eventId) {
+        return `event_${platform}_${eventId}`;
+    }
+
+    /**
+     * Claim an event for processing
+     * @param {string} platform - Platform name
+     * @param {string} eventId - Platform event ID
+     * @returns {Promise<boolean>} True if the event has not been seen before
+     */
+    static async claim(platform, eventId) {
+        const now = Math.floor(Date.now() / 1000);
+        const ttl = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || String(DEFAULT_TTL_SECONDS));
+
+        try {
+            await docClient.send(new PutCommand({
+                TableName: process.env.DYNAMODB_TABLE_NAME,
+                Item: {
+                    id: this.key(platform, eventId),
+                    type: 'processed_event',
+                    eventPlatform: platform,
+                    eventId,
+                    processedAt: new Date().toISOString(),
+                    expiresAt: now + ttl
+                },
+                // TTL deletion can lag, so treat expired records as absent
+                ConditionExpression: 'attribute_not_exists(#id) OR #expiresAt < :now',
+                ExpressionAttributeNames: {
+                    '#id': 'id',
+                    '#expiresAt': 'expiresAt'
+                },
+                ExpressionAttributeValues: {
+                    ':now': now
+                }
+            }));
+            return true;
+        } catch (error) {
+            if (error instanceof Error && error.name === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Release a claimed event so a retry can process it again
+     * @param {string} platform - Platform name
+     * @param {string} eventId - Platform event ID
+     * @returns {Promise<void>}
+     */
+    static async release(platform, eventId) {
+        await docClient.send(new DeleteCommand({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: this.key(platform, eventId) }
+        }));
+    }
+
+    /**
+     * Run a task once per event; failed tasks are released for retry
+     * @param {string} platform - Platform name
+     * @param {string | undefined} eventId - Platform event ID
+     * @param {() => Promise<void>} task - Work to perform
+     * @returns {Promise<boolean>} False if the event was a duplicate
+     */
+    static async processOnce(platform, eventId, task) {
+        if (!eventId) {
+            await task();
+            return true;
+        }
+
+        if (!(await this.claim(platform, eventId))) {
+            console.info(`Skipping duplicate ${platform} event ${eventId}`);
+            return false;
+        }
+
+        try {
+            await task();
+            return true;
+        } catch (error) {
+            await this.release(platform, eventId);
+            throw error;
+        }
+    }
+}
+
+export default IdempotencyStore;
@@ -0,0 +1,256 @@
+import { fetch } from 'undici';
+import { Buffer } from 'node:buffer';
+import gcsUtils from './gcsUtils.js';
+import { getPlatformToken, GRAPH_API_URL } from './configUtils.js';
+
+/**
+ * @typedef {import('../types.js').MediaAttachment} MediaAttachment
+ * @typedef {import('../types/meta.js').WhatsAppMessage} WhatsAppMessage
+ */
+
+const WHATSAPP_MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+/**
+ * Messenger/Instagram attachment types that carry a downloadable file
+ * @type {Record<string, MediaAttachment['type']>}
+ */
+const MESSENGER_FILE_TYPES = {
+    image: 'image',
+    audio: 'audio',
+    video: 'video',
+    file: 'document'
+};
+
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+
+/**
+ * Store downloaded media in the bucket
+ * @param {string} platform - Platform name
+ * @param {string} userId - Sender ID
+ * @param {string} messageId - Platform message ID
+ * @param {MediaAttachment['type']} type - Attachment type
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type
+ * @param {string} [fileName] - Original file name
+ * @returns {Promise<MediaAttachment>}
+ */
+async function storeMedia(platform, userId, messageId, type, buffer, mimeType, fileName) {
+    const safeName = (fileName || type).replace(/[^\w.-]/g, '_');
+    const path = `media/${platform}/${userId}/${messageId}_${safeName}`;
+
+    await gcsUtils.uploadFile(path, buffer);
+
+    return {
+        type,
+        path,
+        mimeType,
+        size: buffer.length,
+        ...(fileName && { fileName })
+    };
+}
+
+/**
+ * Download a file over HTTP
+ * @param {string} url - File URL
+ * @param {Record<string, string>} [headers] - Request headers
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+async function downloadFile(url, headers = {}) {
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+        throw new Error(`Media download failed (${response.status}): ${response.statusText}`);
+    }
+
+    return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        mimeType: response.headers.get('content-type') || 'application/octet-stream'
+    };
+}
+
+/**
+ * Download WhatsApp media through the Graph media endpoint
+ * @param {string} mediaId - WhatsApp media ID
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+async function downloadWhatsAppMedia(mediaId) {
+    const headers = { Authorization: `Bearer ${getPlatformToken('whatsapp')}` };
+
+    const response = await fetch(`${GRAPH_API_URL}/${mediaId}`, { headers });
+    if (!response.ok) {
+        throw new Error(`Error resolving WhatsApp media ${mediaId} (${response.status})`);
+    }
+
+    /** @type {{ url: string, mime_type?: string }} */
+    const media = /** @type {any} */ (await response.json());
+    const file = await downloadFile(media.url, headers);
+
+    return {
+        buffer: file.buffer,
+        mimeType: media.mime_type || file.mimeType
+    };
+}
+
+/**
+ * Ingest the media, location or contacts carried by a WhatsApp message
+ * @param {string} userId - Sender ID
+ * @param {WhatsAppMessage} message - WhatsApp message
+ * @returns {Promise<MediaAttachment[]>}
+ */
+async function ingestWhatsAppMedia(userId, message) {
+    if (message.type === 'location' && message.location) {
+        return [{ type: 'location', data: message.location }];
+    }
+
+    if (message.type === 'contacts' && message.contacts) {
+        return [{ type: 'contacts', data: { contacts: message.contacts } }];
+    }
+
+    const media = WHATSAPP_MEDIA_TYPES.includes(message.type) ? message[message.type] : null;
+    if (!media?.id) return [];
+
+    const type = /** @type {MediaAttachment['type']} */ (message.type);
+
+    try {
+        const { buffer, mimeType } = await downloadWhatsAppMedia(media.id);
+        return [await storeMedia('whatsapp', userId, message.id, type, buffer, mimeType, media.filename)];
+    } catch (error) {
+        console.error('Error ingesting WhatsApp media:', error);
+        return [{ type, error: error instanceof Error ? error.message : 'Unknown error' }];
+    }
+}
+
+/**
+ * Ingest Messenger or Instagram attachments
+ * @param {'facebook' | 'instagram'} platform - Platform name
+ * @param {string} userId - Sender ID
+ * @param {string} messageId - Message ID (`mid`)
+ * @param {{ type: string, payload?: Record<string, any> }[]} attachments - Webhook attachments
+ * @returns {Promise<MediaAttachment[]>}
+ */
+async function ingestMessengerAttachments(platform, userId, messageId, attachments) {
+    return Promise.all(attachments.map(async (attachment, index) => {
+        const type = MESSENGER_FILE_TYPES[attachment.type];
+
+        if (!type || !attachment.payload?.url) {
+            return {
+                type: attachment.type === 'location' ? 'location' : 'other',
+                data: attachment.payload || {}
+            };
+        }
+
+        try {
+            const { buffer, mimeType } = await downloadFile(attachment.payload.url);
+            return await storeMedia(platform, userId, `${messageId}_${index}`, type, buffer, mimeType);
+        } catch (error) {
+            console.error(`Error ingesting ${platform} attachment:`, error);
+            return { type, error: error instanceof Error ? error.message : 'Unknown error' };
+        }
+    }));
+}
+
+/**
+ * Download a Telegram file through `getFile`
+ * @param {string} fileId - Telegram file ID
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+async function downloadTelegramFile(fileId) {
+    const token = process.env.TELEGRAM_BOT_TOKEN;
+
+    const response = await fetch(`${TELEGRAM_API_URL}/bot${token}/getFile?file_id=${encodeURIComponent(fileId)}`);
+    /** @type {{ ok: boolean, description?: string, result?: { file_path?: string } }} */
+    const data = /** @type {any} */ (await response.json());
+    // Bot API downloads are limited to 20 MB; larger files have no file_path
+    if (!data.ok || !data.result?.file_path) {
+        throw new Error(`Error resolving Telegram file ${fileId}: ${data.description || 'file is not downloadable'}`);
+    }
+
+    return downloadFile(`${TELEGRAM_API_URL}/file/bot${token}/${data.result.file_path}`);
+}
+
+/**
+ * Ingest the photo, document, voice note, audio or video carried by a
+ * Telegram message
+ * @param {string} userId - Sender ID
+ * @param {Record<string, any>} message - Telegram message
+ * @returns {Promise<MediaAttachment[]>}
+ */
+async function ingestTelegramFiles(userId, message) {
+    /** @type {{ type: MediaAttachment['type'], fileId: string, mimeType?: string, fileName?: string } | null} */
+    let file = null;
+
+    if (message.photo?.length) {
+        // Photos come in several sizes; the last one is the largest
+        file = { type: 'image', fileId: message.photo[message.photo.length - 1].file_id, mimeType: 'image/jpeg' };
+    } else if (message.document) {
+        file = { type: 'document', fileId: message.document.file_id, mimeType: message.document.mime_type, fileName: message.document.file_name };
+    } else if (message.voice) {
+        file = { type: 'voice', fileId: message.voice.file_id, mimeType: message.voice.mime_type };
+    } else if (message.audio) {
+        file = { type: 'audio', fileId: message.audio.file_id, mimeType: message.audio.mime_type, fileName: message.audio.file_name };
+    } else if (message.video) {
+        file = { type: 'video', fileId: message.video.file_id, mimeType: message.video.mime_type, fileName: message.video.file_name };
+    }
+
+    if (!file) return [];
+
+    try {
+        const { buffer, mimeType } = await downloadTelegramFile(file.fileId);
+        return [await storeMedia(
+            'telegram',
+            userId,
+            String(message.message_id),
+            file.type,
+            buffer,
+            file.mimeType || mimeType,
+            file.fileName
+        )];
+    } catch (error) {
+        console.error('Error ingesting Telegram file:', error);
+        return [{ type: file.type, error: error instanceof Error ? error.message : 'Unknown error' }];
+    }
+}
+
+/**
+ * Ingest files attached to a Discord message. Attachment URLs are signed and
+ * expire, so the files are copied to the bucket.
+ * @param {string} userId - Sender ID
+ * @param {string} messageId - Discord message ID
+ * @param {{ url: string, name?: string | null, contentType?: string | null }[]} attachments - Message attachments
+ * @returns {Promise<MediaAttachment[]>}
+ */
+async function ingestDiscordAttachments(userId, messageId, attachments) {
+    return Promise.all(attachments.map(async (attachment, index) => {
+        const contentType = attachment.contentType || '';
+        /** @type {MediaAttachment['type']} */
+        const type = contentType.startsWith('image/')
+            ? 'image'
+            : contentType.startsWith('audio/')
+                ? 'audio'
+                : contentType.startsWith('video/') ? 'video' : 'document';
+
+        try {
+            const { buffer, mimeType } = await downloadFile(attachment.url);
+            return await storeMedia(
+                'discord',
+                userId,
+                `${messageId}_${index}`,
+                type,
+                buffer,
+                contentType || mimeType,
+                attachment.name || undefined
+            );
+        } catch (error) {
+            console.error('Error ingesting Discord attachment:', error);
+            return { type, error: error instanceof Error ? error.message : 'Unknown error' };
+        }
+    }));
+}
+
+export {
+    storeMedia,
+    downloadFile,
+    ingestWhatsAppMedia,
+    ingestMessengerAttachments,
+    ingestTelegramFiles,
+    ingestDiscordAttachments
+};
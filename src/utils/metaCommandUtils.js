@@ -0,0 +1,195 @@
+import { TicketManager } from './ticketUtils.js';
+import { formatStatus } from './ticketLifecycleUtils.js';
+import Analytics from './analyticsUtils.js';
+import { sendMetaMessage } from './metaMessagingUtils.js';
+import { ConversationManager, formatConversationReply } from './conversationUtils.js';
+import './conversationFlows.js';
+
+/**
+ * @typedef {'whatsapp' | 'facebook' | 'instagram'} MetaPlatform
+ */
+
+/**
+ * @typedef {import('./conversationUtils.js').ConversationReply} ConversationReply
+ */
+
+/**
+ * @typedef {Object} MetaAction
+ * @property {'GET_STARTED' | 'HELP' | 'STATS' | 'NEW_TICKET' | 'MY_TICKETS' | 'CREATE_TICKET' | 'LINK_ACCOUNT'} name - Action name
+ * @property {string} [argument] - Free text passed to the action
+ */
+
+/**
+ * Actions reachable through postbacks, quick replies and menu buttons
+ */
+const POSTBACK_ACTIONS = ['GET_STARTED', 'HELP', 'STATS', 'NEW_TICKET', 'MY_TICKETS', 'LINK_ACCOUNT'];
+
+// Messenger and Instagram messages are limited to 2000 characters, so the
+// ticket list shows the newest tickets with shortened subjects
+const TICKET_LIST_LIMIT = 10;
+const TICKET_SUBJECT_LENGTH = 100;
+
+const HELP_TEXT = [
+    'Available commands:',
+    '- help: Show this message',
+    '- stats: Show your engagement stats',
+    '- new ticket: Open a support ticket',
+    '- my tickets: List your tickets',
+    '- link account: Link with your account on another platform',
+    '- cancel: Stop the current conversation'
+].join('\n');
+
+/**
+ * Resolve a typed keyword command
+ * @param {string} text - Message text
+ * @returns {MetaAction|null}
+ */
+function resolveKeywordAction(text) {
+    const normalized = text.trim().toLowerCase();
+    if (!normalized) return null;
+
+    if (normalized.startsWith('ticket ')) {
+        return { name: 'CREATE_TICKET', argument: text.trim().substring(7).trim() };
+    }
+    if (normalized === 'new ticket') return { name: 'NEW_TICKET' };
+    if (normalized === 'my tickets') return { name: 'MY_TICKETS' };
+    if (normalized === 'link account') return { name: 'LINK_ACCOUNT' };
+    if (normalized === 'stats') return { name: 'STATS' };
+    if (normalized.includes('help')) return { name: 'HELP' };
+
+    return null;
+}
+
+/**
+ * Resolve a postback, quick reply or interactive button payload
+ * @param {string | undefined} payload - Payload sent by the platform
+ * @returns {MetaAction|null}
+ */
+function resolvePostbackAction(payload) {
+    if (!payload || !POSTBACK_ACTIONS.includes(payload)) return null;
+    return { name: /** @type {MetaAction['name']} */ (payload) };
+}
+
+/**
+ * Send a conversation reply, using quick replies for options where the
+ * platform supports them
+ * @param {MetaPlatform} platform - Platform name
+ * @param {string} userId - Sender ID
+ * @param {ConversationReply} reply - Conversation reply
+ * @returns {Promise<void>}
+ */
+async function sendConversationReply(platform, userId, reply) {
+    // WhatsApp reply buttons are limited to 3
+    const maxReplies = platform === 'whatsapp' ? 3 : 13;
+    if (!reply.options?.length || reply.options.length > maxReplies) {
+        await sendMetaMessage(platform, userId, formatConversationReply(reply));
+        return;
+    }
+
+    await sendMetaMessage(platform, userId, {
+        type: 'quick_replies',
+        text: reply.text,
+        replies: reply.options.map(option => ({ title: option.label, payload: option.value }))
+    });
+}
+
+/**
+ * Pass input to the user's active conversation, if any
+ * @param {MetaPlatform} platform - Platform name
+ * @param {string} userId - Sender ID
+ * @param {string} input - Message text or quick reply payload
+ * @returns {Promise<boolean>} True if a conversation handled the input
+ */
+async function continueMetaConversation(platform, userId, input) {
+    // Menu payloads start a new action rather than answering the current step
+    if (!input || POSTBACK_ACTIONS.includes(input)) return false;
+
+    const reply = await ConversationManager.handleInput(platform, userId, input);
+    if (!reply) return false;
+
+    await sendConversationReply(platform, userId, reply);
+    return true;
+}
+
+/**
+ * Run a named action and reply to the user
+ * @param {MetaPlatform} platform - Platform name
+ * @param {string} userId - Sender ID
+ * @param {MetaAction} action - Action to run
+ * @returns {Promise<void>}
+ */
+async function runMetaAction(platform, userId, action) {
+    switch (action.name) {
+        case 'GET_STARTED':
+        case 'HELP':
+            await sendMetaMessage(platform, userId, {
+                type: 'quick_replies',
+                text: HELP_TEXT,
+                replies: [
+                    { title: 'My stats', payload: 'STATS' },
+                    { title: 'New ticket', payload: 'NEW_TICKET' },
+                    { title: 'My tickets', payload: 'MY_TICKETS' }
+                ]
+            });
+            break;
+
+        case 'STATS': {
+            const stats = await Analytics.getUserEngagement(userId);
+            await sendMetaMessage(platform, userId,
+                '📊 Your Engagement Stats\n\n' +
+                `Total Interactions: ${stats.totalInteractions}\n` +
+                `Active Hours: ${stats.activeHours.map(h => `${h}:00`).join(', ')}\n` +
+                `Engagement Score: ${stats.engagementScore.toFixed(1)}/100`
+            );
+            break;
+        }
+
+        case 'NEW_TICKET':
+        case 'CREATE_TICKET':
+            // A description typed after "ticket" skips that step
+            await sendConversationReply(platform, userId, await ConversationManager.start(
+                platform,
+                userId,
+                'ticket_create',
+                action.argument ? { description: action.argument } : {}
+            ));
+            break;
+
+        case 'LINK_ACCOUNT':
+            await sendConversationReply(platform, userId,
+                await ConversationManager.start(platform, userId, 'link_account')
+            );
+            break;
+
+        case 'MY_TICKETS': {
+            const tickets = (await TicketManager.getUserTickets(userId))
+                .filter(ticket => ticket.platform === platform)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            if (!tickets.length) {
+                await sendMetaMessage(platform, userId, 'You have no open tickets.');
+                return;
+            }
+
+            const lines = tickets.slice(0, TICKET_LIST_LIMIT).map(ticket =>
+                `🎫 #${ticket.id}\nStatus: ${formatStatus(ticket.status)}\n` +
+                `Subject: ${ticket.subject.substring(0, TICKET_SUBJECT_LENGTH)}`
+            );
+            if (tickets.length > TICKET_LIST_LIMIT) {
+                lines.push(`…and ${tickets.length - TICKET_LIST_LIMIT} more`);
+            }
+
+            await sendMetaMessage(platform, userId, lines.join('\n\n'));
+            break;
+        }
+
+        default:
+            await sendMetaMessage(platform, userId, HELP_TEXT);
+    }
+}
+
+export {
+    continueMetaConversation,
+    resolveKeywordAction,
+    resolvePostbackAction,
+    runMetaAction
+};
@@ -0,0 +1,312 @@
+import { fetch } from 'undici';
+import { getPlatformToken, loadConfigFile, GRAPH_API_URL } from './configUtils.js';
+import { DeliveryTracker } from './deliveryUtils.js';
+import { WhatsAppWindow, toTemplateFallback } from './whatsappWindowUtils.js';
+
+/**
+ * @typedef {import('../types/meta.js').OutboundMessage} OutboundMessage
+ * @typedef {import('../types/meta.js').MessageButton} MessageButton
+ */
+
+/**
+ * Normalize a plain string into a text message
+ * @param {string | OutboundMessage} message - Message to send
+ * @returns {OutboundMessage}
+ */
+function normalizeMessage(message) {
+    return typeof message === 'string' ? { type: 'text', text: message } : message;
+}
+
+/**
+ * Build the Cloud API payload for a WhatsApp message
+ * @param {string} userId - Recipient phone number
+ * @param {OutboundMessage} message - Message to send
+ * @returns {Record<string, any>}
+ */
+function buildWhatsAppPayload(userId, message) {
+    const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: userId
+    };
+
+    switch (message.type) {
+        case 'text':
+            return { ...payload, type: 'text', text: { body: message.text } };
+
+        case 'quick_replies':
+        case 'buttons': {
+            /** @type {MessageButton[]} */
+            const buttons = (message.type === 'quick_replies' ? message.replies : message.buttons) || [];
+            if (buttons.some(button => button.url)) {
+                throw new Error('URL buttons are not supported on WhatsApp');
+            }
+            if (buttons.length === 0 || buttons.length > 3) {
+                throw new Error('WhatsApp interactive messages require between 1 and 3 buttons');
+            }
+
+            return {
+                ...payload,
+                type: 'interactive',
+                interactive: {
+                    type: 'button',
+                    body: { text: message.text },
+                    action: {
+                        buttons: buttons.map(button => ({
+                            type: 'reply',
+                            reply: { id: button.payload, title: button.title }
+                        }))
+                    }
+                }
+            };
+        }
+
+        case 'media': {
+            const mediaType = message.mediaType || 'image';
+            /** @type {Record<string, string>} */
+            const media = { link: message.url || '' };
+            if (message.caption && mediaType !== 'audio') {
+                media.caption = message.caption;
+            }
+            if (message.filename && mediaType === 'document') {
+                media.filename = message.filename;
+            }
+            return { ...payload, type: mediaType, [mediaType]: media };
+        }
+
+        case 'template':
+            return {
+                ...payload,
+                type: 'template',
+                template: {
+                    name: message.templateName,
+                    language: { code: message.language || 'en_US' },
+                    components: message.components || []
+                }
+            };
+
+        default:
+            throw new Error(`Unsupported message type: ${message.type}`);
+    }
+}
+
+/**
+ * Build the Send API payload for a Messenger or Instagram message
+ * @param {string} userId - Recipient page-scoped ID
+ * @param {OutboundMessage} message - Message to send
+ * @param {string} [tag] - Message tag, for messages sent outside the 24-hour window
+ * @returns {Record<string, any>}
+ */
+function buildMessengerPayload(userId, message, tag) {
+    let content;
+
+    switch (message.type) {
+        case 'text':
+            content = { text: message.text };
+            break;
+
+        case 'quick_replies':
+            content = {
+                text: message.text,
+                quick_replies: (message.replies || []).map(reply => ({
+                    content_type: 'text',
+                    title: reply.title,
+                    payload: reply.payload
+                }))
+            };
+            break;
+
+        case 'buttons':
+            content = {
+                attachment: {
+                    type: 'template',
+                    payload: {
+                        template_type: 'button',
+                        text: message.text,
+                        buttons: (message.buttons || []).map(button => button.url
+                            ? { type: 'web_url', url: button.url, title: button.title }
+                            : { type: 'postback', title: button.title, payload: button.payload })
+                    }
+                }
+            };
+            break;
+
+        case 'media':
+            content = {
+                attachment: {
+                    type: message.mediaType === 'document' ? 'file' : message.mediaType || 'image',
+                    payload: { url: message.url, is_reusable: true }
+                }
+            };
+            break;
+
+        case 'template':
+            throw new Error('Template messages are only supported on WhatsApp');
+
+        default:
+            throw new Error(`Unsupported message type: ${message.type}`);
+    }
+
+    return {
+        recipient: { id: userId },
+        ...(tag ? { messaging_type: 'MESSAGE_TAG', tag } : { messaging_type: 'RESPONSE' }),
+        message: content
+    };
+}
+
+/**
+ * Send a payload to the Graph API
+ * @param {string} path - Graph API path
+ * @param {string} token - Access token
+ * @param {Record<string, any>} payload - Request payload
+ * @returns {Promise<Record<string, any>>} Graph API response
+ */
+async function postToGraph(path, token, payload) {
+    const url = new URL(`${GRAPH_API_URL}/${path}`);
+    url.searchParams.append('access_token', token);
+
+    const response = await fetch(url.toString(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
+    /** @type {Record<string, any>} */
+    const result = /** @type {any} */ (await response.json().catch(() => ({})));
+
+    if (!response.ok) {
+        throw new Error(`Graph API error (${response.status}): ${result.error?.message || response.statusText}`);
+    }
+
+    return result;
+}
+
+/**
+ * Record a sent message so delivery callbacks can update it
+ * @param {string} platform - Platform name
+ * @param {string} userId - Recipient ID
+ * @param {string} messageId - Platform message ID
+ * @param {OutboundMessage} message - Sent message
+ * @returns {Promise<void>}
+ */
+async function trackOutbound(platform, userId, messageId, message) {
+    if (!messageId) return;
+
+    try {
+        await DeliveryTracker.recordOutbound(platform, userId, messageId, message.type);
+    } catch (error) {
+        console.error('Error recording outbound message:', error);
+    }
+}
+
+/**
+ * Send a WhatsApp message. Outside the 24-hour customer service window,
+ * free-form messages are replaced by an approved template.
+ * @param {string} userId - Recipient phone number
+ * @param {string | OutboundMessage} message - Message to send
+ * @returns {Promise<string>} WhatsApp message ID (WAMID)
+ * @throws {Error} If the window has closed and no template can be used
+ */
+async function sendWhatsAppMessage(userId, message) {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    if (!phoneNumberId) {
+        throw new Error('WHATSAPP_PHONE_NUMBER_ID is not configured');
+    }
+
+    let outbound = normalizeMessage(message);
+    if (outbound.type !== 'template' && !(await WhatsAppWindow.isOpen(userId))) {
+        outbound = toTemplateFallback(userId, outbound);
+    }
+
+    const result = await postToGraph(
+        `${phoneNumberId}/messages`,
+        getPlatformToken('whatsapp'),
+        buildWhatsAppPayload(userId, outbound)
+    );
+
+    const messageId = result.messages?.[0]?.id || '';
+    await trackOutbound('whatsapp', userId, messageId, outbound);
+    return messageId;
+}
+
+/**
+ * Send a Messenger or Instagram message. Messages carrying a `messageTag`
+ * are sent with it once the 24-hour window has closed.
+ * @param {'facebook' | 'instagram'} platform - Platform name
+ * @param {string} userId - Recipient page- or Instagram-scoped ID
+ * @param {string | OutboundMessage} message - Message to send
+ * @returns {Promise<string>} Platform message ID
+ */
+async function sendMessengerMessage(platform, userId, message) {
+    const outbound = normalizeMessage(message);
+    const tag = outbound.messageTag && !(await WhatsAppWindow.isOpen(userId, platform))
+        ? outbound.messageTag
+        : undefined;
+
+    const result = await postToGraph(
+        'me/messages',
+        getPlatformToken(platform),
+        buildMessengerPayload(userId, outbound, tag)
+    );
+
+    const messageId = result.message_id || '';
+    await trackOutbound(platform, userId, messageId, outbound);
+    return messageId;
+}
+
+/**
+ * Send a Facebook Messenger message
+ * @param {string} userId - Recipient page-scoped ID
+ * @param {string | OutboundMessage} message - Message to send
+ * @returns {Promise<string>} Messenger message ID
+ */
+async function sendFacebookMessage(userId, message) {
+    return sendMessengerMessage('facebook', userId, message);
+}
+
+/**
+ * Send an Instagram direct message
+ * @param {string} userId - Recipient Instagram-scoped ID
+ * @param {string | OutboundMessage} message - Message to send
+ * @returns {Promise<string>} Instagram message ID
+ */
+async function sendInstagramMessage(userId, message) {
+    return sendMessengerMessage('instagram', userId, message);
+}
+
+/**
+ * Send a message on any Meta platform
+ * @param {'whatsapp' | 'facebook' | 'instagram'} platform - Platform name
+ * @param {string} userId - Recipient ID
+ * @param {string | OutboundMessage} message - Message to send
+ * @returns {Promise<string>} Platform message ID
+ */
+async function sendMetaMessage(platform, userId, message) {
+    switch (platform) {
+        case 'whatsapp':
+            return sendWhatsAppMessage(userId, message);
+        case 'facebook':
+            return sendFacebookMessage(userId, message);
+        case 'instagram':
+            return sendInstagramMessage(userId, message);
+        default:
+            throw new Error(`Unsupported Meta platform: ${platform}`);
+    }
+}
+
+/**
+ * Configure the page's Get Started button, greeting and persistent menu
+ * @param {Record<string, any>} [profile] - Messenger profile, defaults to config/messenger-profile.json
+ * @returns {Promise<void>}
+ */
+async function configureMessengerProfile(profile = loadConfigFile('messenger-profile.json')) {
+    await postToGraph('me/messenger_profile', getPlatformToken('facebook'), profile);
+}
+
+export {
+    sendWhatsAppMessage,
+    sendFacebookMessage,
+    sendInstagramMessage,
+    sendMetaMessage,
+    configureMessengerProfile
+};
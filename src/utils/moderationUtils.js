@@ -1,3 +1,6 @@
+import { DynamoDBUtils } from './dynamoDBUtils.js';
+import { loadConfigFile } from './configUtils.js';
+
 /**
  * Utility functions for content moderation and user management
  */
@@ -18,12 +21,51 @@
  * @property {number} window - Time window in milliseconds
  */
 
+/**
+ * @typedef {Object} ModerationAction
+ * @property {string} platform - Platform name
+ * @property {string} chatId - Chat, group or server where the action was taken
+ * @property {string} targetUserId - User the action applies to
+ * @property {string} moderatorId - Moderator user ID, or 'auto' for automatic enforcement
+ * @property {'delete' | 'warn' | 'mute' | 'ban' | 'unban' | 'timeout'} action - Action taken
+ * @property {string} [reason] - Reason given for the action
+ * @property {number} [durationMs] - Duration of a mute or timeout
+ */
+
+/**
+ * @typedef {Object} EscalationStep
+ * @property {number} violations - Violations within the window at which this step applies
+ * @property {('delete' | 'warn' | 'timeout')[]} actions - Actions to take
+ * @property {string} [timeout] - Timeout duration, e.g. `10m`
+ */
+
+/**
+ * @typedef {Object} AutomodConfig
+ * @property {boolean} enabled - Whether automod runs
+ * @property {{ profanity?: boolean, spam?: boolean, flooding?: boolean }} rules - Checks to run
+ * @property {string} violationWindow - How long violations count towards escalation, e.g. `24h`
+ * @property {EscalationStep[]} escalation - Steps in increasing order of violations
+ */
+
 const profanityList = [
     // Add your profanity list here
     'badword1',
     'badword2'
 ];
 
+/** @type {Record<string, number>} */
+const durationUnits = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// The violation counter is incremented, or reset when its window has
+// passed; each write retries the other when a concurrent one wins
+const VIOLATION_WRITE_ATTEMPTS = 3;
+
 const spamPatterns = [
     /(\w+)\1{4,}/i, // Repeated words
     /(https?:\/\/[^\s]+[\s]*){5,}/, // Too many URLs
@@ -49,6 +91,153 @@ function isNotSpam(content) {
     return !spamPatterns.some(pattern => pattern.test(content));
 }
 
+/**
+ * Parse a duration such as `30s`, `10m`, `2h`, `1d` or `1w`
+ * @param {string} input - Duration text
+ * @returns {number|null} - Duration in milliseconds, or null if invalid
+ */
+function parseDuration(input) {
+    const match = /^(\d+)\s*([smhdw])$/i.exec(input?.trim() || '');
+    if (!match) return null;
+
+    const amount = parseInt(match[1], 10);
+    return amount > 0 ? amount * durationUnits[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Record a moderation action as an interaction of the affected user so it
+ * shows up in analytics and audits
+ * @param {ModerationAction} action - Moderation action
+ * @returns {Promise<void>}
+ */
+async function logModerationAction({ platform, chatId, targetUserId, moderatorId, action, reason, durationMs }) {
+    await DynamoDBUtils.saveInteraction(targetUserId, platform, {
+        type: 'moderation',
+        content: reason ? `${action}: ${reason}` : action,
+        action,
+        chatId,
+        moderatorId,
+        reason: reason || null,
+        durationMs: durationMs || null,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Get the automod settings from config/automod.json
+ * @returns {AutomodConfig}
+ */
+function getAutomodConfig() {
+    return loadConfigFile('automod.json');
+}
+
+/**
+ * Find the content rule a message breaks
+ * @param {string} userId - Author ID
+ * @param {string} content - Message content
+ * @param {AutomodConfig['rules']} rules - Checks to run
+ * @returns {string|null} - Reason, or null if the message is allowed
+ */
+function findViolation(userId, content, rules) {
+    if (rules.profanity && !isProfanityFree(content)) return 'inappropriate content';
+    if (rules.spam && !isNotSpam(content)) return 'spam';
+    if (rules.flooding && !rateLimiter.isAllowed(userId, 'message')) return 'flooding';
+    return null;
+}
+
+/**
+ * Get the escalation step for a number of violations
+ * @param {EscalationStep[]} escalation - Escalation steps
+ * @param {number} violations - Violations within the window
+ * @returns {EscalationStep|null}
+ */
+function getEscalationStep(escalation, violations) {
+    return [...escalation]
+        .sort((a, b) => b.violations - a.violations)
+        .find(step => step.violations <= violations) || null;
+}
+
+/**
+ * Record a violation against a user and return how many they have within
+ * the window. The count restarts once the window has passed since the last
+ * violation. Both writes are conditional so concurrent violations are all
+ * counted.
+ * @param {string} platform - Platform name
+ * @param {string} userId - User ID
+ * @param {number} windowMs - Violation window
+ * @returns {Promise<number>} - Violations within the window, including this one
+ * @throws {Error} If the record keeps changing between attempts
+ */
+async function recordViolation(platform, userId, windowMs) {
+    const now = Date.now();
+    const params = {
+        TableName: /** @type {string} */ (process.env.DYNAMODB_TABLE_NAME),
+        Key: { id: `violations_${platform}_${userId}` },
+        ExpressionAttributeNames: {
+            '#count': 'count',
+            '#lastViolationAt': 'lastViolationAt',
+            '#expiresAt': 'expiresAt'
+        },
+        ExpressionAttributeValues: {
+            ':one': 1,
+            ':lastViolationAt': new Date(now).toISOString(),
+            ':expiresAt': Math.floor((now + windowMs) / 1000),
+            ':now': Math.floor(now / 1000)
+        }
+    };
+
+    for (let attempt = 0; attempt < VIOLATION_WRITE_ATTEMPTS; attempt++) {
+        try {
+            // TTL deletion lags, so the window is checked against expiresAt
+            const attributes = await DynamoDBUtils.updateItem({
+                ...params,
+                UpdateExpression: 'SET #lastViolationAt = :lastViolationAt, #expiresAt = :expiresAt ADD #count :one',
+                ConditionExpression: '#expiresAt > :now',
+                ReturnValues: 'UPDATED_NEW'
+            });
+            return attributes?.count;
+        } catch (error) {
+            if (!isConditionalCheckFailure(error)) throw error;
+        }
+
+        try {
+            // No active window: start a new one unless another violation just did
+            await DynamoDBUtils.updateItem({
+                ...params,
+                UpdateExpression: 'SET #type = :type, #violationPlatform = :platform, #violatorId = :userId, ' +
+                    '#count = :one, #lastViolationAt = :lastViolationAt, #expiresAt = :expiresAt',
+                ConditionExpression: 'attribute_not_exists(#expiresAt) OR #expiresAt <= :now',
+                ExpressionAttributeNames: {
+                    ...params.ExpressionAttributeNames,
+                    '#type': 'type',
+                    '#violationPlatform': 'violationPlatform',
+                    '#violatorId': 'violatorId'
+                },
+                ExpressionAttributeValues: {
+                    ...params.ExpressionAttributeValues,
+                    ':type': 'violations',
+                    ':platform': platform,
+                    ':userId': userId
+                }
+            });
+            return 1;
+        } catch (error) {
+            if (!isConditionalCheckFailure(error)) throw error;
+        }
+    }
+
+    throw new Error(`Could not record violation for ${platform} user ${userId}`);
+}
+
+/**
+ * Check whether a DynamoDB write failed its condition
+ * @param {unknown} error - Caught error
+ * @returns {boolean}
+ */
+function isConditionalCheckFailure(error) {
+    return error instanceof Error && error.name === 'ConditionalCheckFailedException';
+}
+
 /**
  * Calculate user trust score based on various factors
  * @param {UserData} userData - User interaction data
@@ -136,5 +325,11 @@ export {
     isProfanityFree,
     isNotSpam,
     calculateTrustScore,
+    parseDuration,
+    logModerationAction,
+    getAutomodConfig,
+    findViolation,
+    getEscalationStep,
+    recordViolation,
     rateLimiter
 };
\ No newline at end of file
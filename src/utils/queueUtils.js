@@ -0,0 +1,191 @@
+import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';
+import { IdempotencyStore } from './idempotencyUtils.js';
+
+/**
+ * @typedef {Object} QueuedEvent
+ * @property {string} source - Name of the processor that handles the event
+ * @property {string} [eventId] - Platform event ID
+ * @property {Record<string, any>} payload - Normalized event payload
+ */
+
+/**
+ * @typedef {Object} DeadLetter
+ * @property {QueuedEvent} event - Event that could not be processed
+ * @property {number} attempts - Number of attempts made
+ * @property {string} error - Last error message
+ * @property {string} failedAt - ISO timestamp of the last failure
+ */
+
+/**
+ * @typedef {(payload: Record<string, any>) => Promise<void>} EventProcessor
+ */
+
+/**
+ * @typedef {Object} SQSRecord
+ * @property {string} messageId - SQS message ID
+ * @property {string} body - Message body
+ */
+
+/** @type {Map<string, EventProcessor>} */
+const processors = new Map();
+
+/**
+ * Register the processor for an event source
+ * @param {string} source - Event source name
+ * @param {EventProcessor} processor - Processor function
+ */
+export function registerProcessor(source, processor) {
+    processors.set(source, processor);
+}
+
+/**
+ * Run a queued event through its registered processor
+ * @param {QueuedEvent} event - Queued event
+ * @returns {Promise<void>}
+ * @throws {Error} If no processor is registered for the event source
+ */
+export async function dispatchEvent(event) {
+    const processor = processors.get(event.source);
+    if (!processor) {
+        throw new Error(`No processor registered for event source: ${event.source}`);
+    }
+
+    await processor(event.payload);
+}
+
+/**
+ * Process a batch of SQS messages. SQS delivers at least once, so each
+ * event is claimed before it runs and redeliveries of a processed event are
+ * skipped. Failed records are reported individually so SQS only redelivers
+ * those; after the redrive limit they move to the dead-letter queue.
+ * @param {SQSRecord[]} records - Batch of queue messages
+ * @returns {Promise<{ batchItemFailures: { itemIdentifier: string }[] }>}
+ */
+export async function processQueueBatch(records) {
+    /** @type {{ itemIdentifier: string }[]} */
+    const batchItemFailures = [];
+
+    for (const record of records) {
+        try {
+            /** @type {QueuedEvent} */
+            const queuedEvent = JSON.parse(record.body);
+            // Webhook handlers claim the platform event ID when enqueueing,
+            // so the consumer claims under its own namespace
+            await IdempotencyStore.processOnce(`queue_${queuedEvent.source}`, queuedEvent.eventId, () =>
+                dispatchEvent(queuedEvent)
+            );
+        } catch (error) {
+            console.error(`Error processing queued event ${record.messageId}:`, error);
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        }
+    }
+
+    return { batchItemFailures };
+}
+
+/**
+ * Work queue backed by Amazon SQS. Retries and dead-lettering are handled
+ * by the queue's redrive policy.
+ */
+class SqsWorkQueue {
+    /**
+     * @param {string} queueUrl - SQS queue URL
+     */
+    constructor(queueUrl) {
+        this.queueUrl = queueUrl;
+        this.client = new SQSClient({ region: process.env.AWS_REGION });
+    }
+
+    /**
+     * Add an event to the queue
+     * @param {QueuedEvent} event - Event to enqueue
+     * @returns {Promise<void>}
+     */
+    async enqueue(event) {
+        await this.client.send(new SendMessageCommand({
+            QueueUrl: this.queueUrl,
+            MessageBody: JSON.stringify(event)
+        }));
+    }
+}
+
+/**
+ * In-memory stand-in for local development. Events are processed after the
+ * current call returns, retried, and kept in a dead-letter list on failure.
+ */
+class LocalWorkQueue {
+    /**
+     * @param {number} [maxAttempts] - Attempts before an event is dead-lettered
+     */
+    constructor(maxAttempts = 3) {
+        this.maxAttempts = maxAttempts;
+        /** @type {{ event: QueuedEvent, attempts: number }[]} */
+        this.pending = [];
+        /** @type {DeadLetter[]} */
+        this.deadLetters = [];
+        /** @type {Promise<void>|null} */
+        this.draining = null;
+    }
+
+    /**
+     * Add an event to the queue
+     * @param {QueuedEvent} event - Event to enqueue
+     * @returns {Promise<void>}
+     */
+    async enqueue(event) {
+        this.pending.push({ event, attempts: 0 });
+
+        if (!this.draining) {
+            this.draining = new Promise(resolve => setImmediate(resolve))
+                .then(() => this.drain())
+                .finally(() => {
+                    this.draining = null;
+                });
+        }
+    }
+
+    /**
+     * Process pending events until the queue is empty
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        let item;
+        while ((item = this.pending.shift())) {
+            item.attempts++;
+
+            try {
+                await dispatchEvent(item.event);
+            } catch (error) {
+                const message = error instanceof Error ? error.message : 'Unknown error';
+                console.error(`Error processing ${item.event.source} event (attempt ${item.attempts}):`, error);
+
+                if (item.attempts < this.maxAttempts) {
+                    this.pending.push(item);
+                } else {
+                    this.deadLetters.push({
+                        event: item.event,
+                        attempts: item.attempts,
+                        error: message,
+                        failedAt: new Date().toISOString()
+                    });
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Create the work queue for this environment: SQS when `EVENT_QUEUE_URL`
+ * is set, otherwise the in-memory queue
+ * @returns {SqsWorkQueue | LocalWorkQueue}
+ */
+export function createWorkQueue() {
+    return process.env.EVENT_QUEUE_URL
+        ? new SqsWorkQueue(process.env.EVENT_QUEUE_URL)
+        : new LocalWorkQueue();
+}
+
+// Create singleton work queue instance
+const workQueue = createWorkQueue();
+
+export default workQueue;
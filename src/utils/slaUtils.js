@@ -0,0 +1,161 @@
+import { loadConfigFile } from './configUtils.js';
+import { parseDuration } from './moderationUtils.js';
+import { isResolvedStatus, getResolvedAt } from './ticketLifecycleUtils.js';
+
+/**
+ * @typedef {import('../types.js').TicketData} TicketData
+ * @typedef {import('../types.js').TicketSla} TicketSla
+ */
+
+/**
+ * @typedef {Object} SlaPolicy
+ * @property {string} name - Policy name
+ * @property {string} [category] - Only applies to this category
+ * @property {string} [priority] - Only applies to this priority
+ * @property {string} firstResponse - Time to the first staff response, e.g. `4h`
+ * @property {string} resolution - Time to resolve or close the ticket, e.g. `2d`
+ */
+
+/** @type {Record<'first_response' | 'resolution', string>} */
+const BREACH_LABELS = {
+    first_response: 'First response',
+    resolution: 'Resolution'
+};
+
+/**
+ * Get the SLA policies from config/sla-policies.json
+ * @returns {SlaPolicy[]}
+ */
+export function getSlaPolicies() {
+    return loadConfigFile('sla-policies.json').policies || [];
+}
+
+/**
+ * Find the policy for a ticket. Policies are checked in order and the first
+ * one whose category and priority match is used, so more specific policies
+ * come first.
+ * @param {{ category: string, priority?: string }} ticket - Ticket
+ * @returns {SlaPolicy}
+ * @throws {Error} If no policy matches
+ */
+export function getSlaPolicy(ticket) {
+    const priority = ticket.priority || 'normal';
+    const policy = getSlaPolicies().find(candidate =>
+        (!candidate.category || candidate.category === ticket.category) &&
+        (!candidate.priority || candidate.priority === priority)
+    );
+    if (!policy) {
+        throw new Error(`No SLA policy matches category ${ticket.category} and priority ${priority}`);
+    }
+
+    return policy;
+}
+
+/**
+ * Calculate the SLA targets of a new ticket. Targets are fixed when the
+ * ticket is opened, so escalating the priority does not move them.
+ * @param {{ category: string, priority?: string, createdAt: string }} ticket - Ticket
+ * @returns {TicketSla}
+ */
+export function calculateSlaTargets(ticket) {
+    const policy = getSlaPolicy(ticket);
+    const createdAt = new Date(ticket.createdAt).getTime();
+
+    return {
+        policy: policy.name,
+        firstResponseDueAt: new Date(createdAt + (parseDuration(policy.firstResponse) || 0)).toISOString(),
+        resolutionDueAt: new Date(createdAt + (parseDuration(policy.resolution) || 0)).toISOString(),
+        breaches: []
+    };
+}
+
+/**
+ * Get the time of the first staff response, if any
+ * @param {TicketData} ticket - Ticket
+ * @returns {string|null}
+ */
+function getFirstStaffResponseAt(ticket) {
+    return ticket.responses?.find(response => response.isStaff)?.timestamp || null;
+}
+
+/**
+ * Find SLA targets a ticket has missed that were not flagged yet
+ * @param {TicketData} ticket - Ticket
+ * @param {TicketSla} sla - Ticket SLA
+ * @param {Date} [now] - Current time
+ * @returns {('first_response' | 'resolution')[]}
+ */
+export function findNewSlaBreaches(ticket, sla, now = new Date()) {
+    /** @type {('first_response' | 'resolution')[]} */
+    const breaches = [];
+    const flagged = sla.breaches || [];
+    const firstResponseAt = getFirstStaffResponseAt(ticket);
+
+    if (
+        !flagged.includes('first_response') &&
+        (firstResponseAt || now.toISOString()) > sla.firstResponseDueAt
+    ) {
+        breaches.push('first_response');
+    }
+    if (
+        !flagged.includes('resolution') &&
+        !isResolvedStatus(ticket.status) &&
+        now.toISOString() > sla.resolutionDueAt
+    ) {
+        breaches.push('resolution');
+    }
+
+    return breaches;
+}
+
+/**
+ * Describe a breach for alerts
+ * @param {'first_response' | 'resolution'} breach - Breach type
+ * @returns {string}
+ */
+export function describeSlaBreach(breach) {
+    return `${BREACH_LABELS[breach]} overdue`;
+}
+
+/**
+ * Summarize a ticket's SLA for ticket views
+ * @param {TicketData} ticket - Ticket
+ * @param {Date} [now] - Current time
+ * @returns {string[]} One line per target
+ */
+export function formatSlaSummary(ticket, now = new Date()) {
+    if (!ticket.sla) return [];
+
+    const sla = ticket.sla;
+    const firstResponseAt = getFirstStaffResponseAt(ticket);
+    /** @param {string} iso */
+    const format = iso => `${iso.substring(0, 16).replace('T', ' ')} UTC`;
+    /**
+     * @param {'first_response' | 'resolution'} breach
+     * @param {string} dueAt
+     * @param {string|null} metAt
+     */
+    const line = (breach, dueAt, metAt) => {
+        const label = BREACH_LABELS[breach];
+        if (metAt) {
+            return metAt <= dueAt ? `${label}: ✅ met` : `${label}: ⚠️ missed (due ${format(dueAt)})`;
+        }
+        return now.toISOString() > dueAt || sla.breaches?.includes(breach)
+            ? `${label}: ⚠️ overdue since ${format(dueAt)}`
+            : `${label}: due ${format(dueAt)}`;
+    };
+
+    return [
+        line('first_response', sla.firstResponseDueAt, firstResponseAt),
+        line('resolution', sla.resolutionDueAt, getResolvedAt(ticket))
+    ];
+}
+
+export default {
+    getSlaPolicies,
+    getSlaPolicy,
+    calculateSlaTargets,
+    findNewSlaBreaches,
+    describeSlaBreach,
+    formatSlaSummary
+};
@@ -0,0 +1,235 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { REST, Routes } from 'discord.js';
+import { fetch } from 'undici';
+import { sendMetaMessage } from './metaMessagingUtils.js';
+import workQueue, { registerProcessor } from './queueUtils.js';
+
+/**
+ * @typedef {import('../types.js').TicketData} TicketData
+ * @typedef {import('../types.js').TicketResponse} TicketResponse
+ */
+
+/**
+ * @typedef {Object} TicketDeliveryPayload
+ * @property {string} deliveryId - Delivery ID
+ * @property {string} ticketId - Ticket ID
+ * @property {string} platform - Platform the ticket was opened on
+ * @property {string} userId - Ticket creator's ID on that platform
+ * @property {string} content - Staff response
+ */
+
+/**
+ * @typedef {Object} TicketDelivery
+ * @property {string} id - `ticket_delivery_<deliveryId>`
+ * @property {'ticket_delivery'} type - Record type
+ * @property {string} ticketId - Ticket ID
+ * @property {string} recipientPlatform - Platform the response was sent to
+ * @property {string} recipientId - Recipient ID on that platform
+ * @property {'delivered' | 'failed'} status - Outcome of the latest attempt
+ * @property {number} attempts - Number of attempts made
+ * @property {string} [messageId] - Platform message ID once delivered
+ * @property {string} [error] - Error of the latest failed attempt
+ * @property {string} [deliveredAt] - Delivery timestamp
+ * @property {string} updatedAt - Timestamp of the latest attempt
+ */
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+
+// Discord messages are limited to 2000 characters, template parameters to 1024
+const DISCORD_MESSAGE_LIMIT = 2000;
+const TEMPLATE_PARAMETER_LIMIT = 1000;
+
+/**
+ * Build the notification text for a staff response
+ * @param {TicketDeliveryPayload} payload - Queued delivery
+ * @returns {string}
+ */
+function formatStaffReply({ ticketId, content }) {
+    return `💬 Support replied to your ticket #${ticketId}:\n\n${content}`;
+}
+
+/**
+ * Send a Telegram message through the Bot API
+ * @param {string} chatId - Chat ID; for private chats this is the user ID
+ * @param {string} text - Message text
+ * @returns {Promise<string>} Telegram message ID
+ */
+async function sendTelegramMessage(chatId, text) {
+    const response = await fetch(`${TELEGRAM_API_URL}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chat_id: chatId, text })
+    });
+    /** @type {{ ok: boolean, description?: string, result?: { message_id: number } }} */
+    const data = /** @type {any} */ (await response.json());
+    if (!data.ok || !data.result) {
+        throw new Error(`Telegram API error (${response.status}): ${data.description || response.statusText}`);
+    }
+
+    return String(data.result.message_id);
+}
+
+/**
+ * Send a Discord direct message over REST
+ * @param {string} userId - Discord user ID
+ * @param {string} text - Message text
+ * @returns {Promise<string>} Discord message ID
+ */
+async function sendDiscordDirectMessage(userId, text) {
+    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN || '');
+
+    const channel = /** @type {{ id: string }} */ (await rest.post(Routes.userChannels(), {
+        body: { recipient_id: userId }
+    }));
+    const message = /** @type {{ id: string }} */ (await rest.post(Routes.channelMessages(channel.id), {
+        body: { content: text.substring(0, DISCORD_MESSAGE_LIMIT) }
+    }));
+
+    return message.id;
+}
+
+/**
+ * Send a staff response to the ticket creator on the ticket's platform.
+ * Once the 24-hour customer service window has closed, WhatsApp uses the
+ * `ticket_update` template and Messenger and Instagram the human agent tag.
+ * @param {TicketDeliveryPayload} payload - Queued delivery
+ * @returns {Promise<string>} Platform message ID
+ * @throws {Error} If the platform is not supported
+ */
+async function sendToPlatform(payload) {
+    const text = formatStaffReply(payload);
+
+    switch (payload.platform) {
+        case 'telegram':
+            return sendTelegramMessage(payload.userId, text);
+        case 'discord':
+            return sendDiscordDirectMessage(payload.userId, text);
+        case 'whatsapp':
+        case 'facebook':
+        case 'instagram':
+            return sendMetaMessage(payload.platform, payload.userId, {
+                type: 'text',
+                text,
+                messageTag: 'HUMAN_AGENT',
+                fallbackTemplate: {
+                    name: 'ticket_update',
+                    parameters: {
+                        ticket_id: payload.ticketId,
+                        message: payload.content.substring(0, TEMPLATE_PARAMETER_LIMIT)
+                    }
+                }
+            });
+        default:
+            throw new Error(`Unsupported ticket platform: ${payload.platform}`);
+    }
+}
+
+/**
+ * Get the delivery record of a staff response
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<TicketDelivery|null>}
+ */
+export async function getTicketDelivery(deliveryId) {
+    const response = await docClient.send(new GetCommand({
+        TableName: process.env.DYNAMODB_TABLE_NAME,
+        Key: { id: `ticket_delivery_${deliveryId}` }
+    }));
+
+    return /** @type {TicketDelivery|undefined} */ (response.Item) || null;
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {TicketDeliveryPayload} payload - Queued delivery
+ * @param {{ messageId?: string, error?: string }} outcome - Message ID on success, error on failure
+ * @returns {Promise<void>}
+ */
+async function recordAttempt(payload, { messageId, error }) {
+    const timestamp = new Date().toISOString();
+    /** @type {Record<string, any>} */
+    const fields = {
+        type: 'ticket_delivery',
+        ticketId: payload.ticketId,
+        recipientPlatform: payload.platform,
+        recipientId: payload.userId,
+        status: error ? 'failed' : 'delivered',
+        updatedAt: timestamp,
+        ...(error ? { error } : { messageId: messageId || '', deliveredAt: timestamp })
+    };
+    const names = Object.keys(fields);
+
+    await docClient.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_TABLE_NAME,
+        Key: { id: `ticket_delivery_${payload.deliveryId}` },
+        // A successful retry clears the error of the previous attempt
+        UpdateExpression: `SET ${names.map(name => `#${name} = :${name}`).join(', ')}` +
+            `${error ? '' : ' REMOVE #error'} ADD #attempts :one`,
+        ExpressionAttributeNames: Object.fromEntries([...names, 'attempts', 'error'].map(name => [`#${name}`, name])),
+        ExpressionAttributeValues: {
+            ...Object.fromEntries(names.map(name => [`:${name}`, fields[name]])),
+            ':one': 1
+        }
+    }));
+}
+
+/**
+ * Deliver a queued staff response. Failures are recorded and rethrown so
+ * the work queue retries them; after the retry limit they are dead-lettered.
+ * @param {Record<string, any>} payload - Queued delivery
+ * @returns {Promise<void>}
+ */
+export async function deliverTicketResponse(payload) {
+    const delivery = /** @type {TicketDeliveryPayload} */ (payload);
+
+    // A redelivered event must not message the user twice
+    const existing = await getTicketDelivery(delivery.deliveryId);
+    if (existing?.status === 'delivered') return;
+
+    let messageId;
+    try {
+        messageId = await sendToPlatform(delivery);
+    } catch (error) {
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        console.error(`Error delivering response on ticket ${delivery.ticketId} to ${delivery.platform}:`, error);
+        await recordAttempt(delivery, { error: message });
+        throw error;
+    }
+
+    await recordAttempt(delivery, { messageId });
+}
+
+/**
+ * Queue a staff response for delivery to the ticket creator
+ * @param {TicketData} ticket - Ticket the response was added to
+ * @param {TicketResponse} response - Staff response
+ * @returns {Promise<string>} Delivery ID
+ */
+export async function queueTicketDelivery(ticket, response) {
+    const deliveryId = `${ticket.id}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+    /** @type {TicketDeliveryPayload} */
+    const payload = {
+        deliveryId,
+        ticketId: ticket.id,
+        platform: ticket.platform,
+        userId: ticket.userId,
+        content: response.content
+    };
+
+    await workQueue.enqueue({ source: 'ticket_delivery', eventId: deliveryId, payload });
+    return deliveryId;
+}
+
+// Registered here rather than in a bot so every caller of
+// TicketManager.addResponse can process deliveries on the local queue
+registerProcessor('ticket_delivery', deliverTicketResponse);
+
+export default {
+    queueTicketDelivery,
+    deliverTicketResponse,
+    getTicketDelivery
+};
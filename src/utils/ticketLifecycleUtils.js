@@ -0,0 +1,113 @@
+/**
+ * Ticket lifecycle: the allowed statuses, the transitions between them and
+ * the status history kept on each ticket.
+ *
+ *   open → in_progress → waiting_on_user → resolved → closed
+ *
+ * Staff may skip ahead (e.g. close an open ticket) and move a ticket back
+ * and forth between `in_progress` and `waiting_on_user`. Resolved and
+ * closed tickets can be reopened.
+ */
+
+/**
+ * @typedef {'open' | 'in_progress' | 'waiting_on_user' | 'resolved' | 'closed'} TicketStatus
+ * @typedef {import('../types.js').TicketData} TicketData
+ * @typedef {import('../types.js').TicketStatusChange} TicketStatusChange
+ */
+
+/** @type {TicketStatus[]} */
+export const TICKET_STATUSES = ['open', 'in_progress', 'waiting_on_user', 'resolved', 'closed'];
+
+/**
+ * Statuses each status may move to
+ * @type {Record<TicketStatus, TicketStatus[]>}
+ */
+export const TICKET_TRANSITIONS = {
+    open: ['in_progress', 'waiting_on_user', 'resolved', 'closed'],
+    in_progress: ['waiting_on_user', 'resolved', 'closed'],
+    waiting_on_user: ['in_progress', 'resolved', 'closed'],
+    resolved: ['open', 'closed'],
+    closed: ['open']
+};
+
+/** @type {Record<TicketStatus, string>} */
+const STATUS_LABELS = {
+    open: 'Open',
+    in_progress: 'In progress',
+    waiting_on_user: 'Waiting on user',
+    resolved: 'Resolved',
+    closed: 'Closed'
+};
+
+/**
+ * Check whether a ticket may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function isValidTransition(from, to) {
+    return TICKET_TRANSITIONS[/** @type {TicketStatus} */ (from)]?.includes(/** @type {TicketStatus} */ (to)) || false;
+}
+
+/**
+ * Whether a status counts as resolved for SLAs and queues
+ * @param {string} status - Ticket status
+ * @returns {boolean}
+ */
+export function isResolvedStatus(status) {
+    return status === 'resolved' || status === 'closed';
+}
+
+/**
+ * Get the display name of a status
+ * @param {string} status - Ticket status
+ * @returns {string}
+ */
+export function formatStatus(status) {
+    return STATUS_LABELS[/** @type {TicketStatus} */ (status)] || status;
+}
+
+/**
+ * Get when a ticket was last resolved or closed, if it still is
+ * @param {TicketData} ticket - Ticket
+ * @returns {string|null}
+ */
+export function getResolvedAt(ticket) {
+    if (!isResolvedStatus(ticket.status)) return null;
+
+    const history = ticket.history || [];
+    // The latest move into a resolved status, skipping resolved → closed
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (isResolvedStatus(history[i].to) && !isResolvedStatus(history[i].from || '')) {
+            return history[i].timestamp;
+        }
+    }
+    return ticket.updatedAt;
+}
+
+/**
+ * Format a ticket's status history, oldest first
+ * @param {TicketData} ticket - Ticket
+ * @param {number} [limit] - Only the most recent entries
+ * @returns {string[]} One line per change
+ */
+export function formatTimeline(ticket, limit = 10) {
+    return (ticket.history || []).slice(-limit).map(change => {
+        const when = `${change.timestamp.substring(0, 16).replace('T', ' ')} UTC`;
+        const what = change.from
+            ? `${formatStatus(change.from)} → ${formatStatus(change.to)}`
+            : formatStatus(change.to);
+        const who = `${change.isStaff ? 'staff' : 'user'} on ${change.platform}`;
+        return `• ${when}: ${what} by ${who}${change.comment ? ` (${change.comment})` : ''}`;
+    });
+}
+
+export default {
+    TICKET_STATUSES,
+    TICKET_TRANSITIONS,
+    isValidTransition,
+    isResolvedStatus,
+    formatStatus,
+    getResolvedAt,
+    formatTimeline
+};
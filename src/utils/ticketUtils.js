@@ -6,15 +6,49 @@ import {
     QueryCommand,
     UpdateCommand
 } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBUtils } from './dynamoDBUtils.js';
+import { loadConfigFile } from './configUtils.js';
+import { calculateSlaTargets, findNewSlaBreaches } from './slaUtils.js';
+import { isValidTransition, formatStatus } from './ticketLifecycleUtils.js';
+import { queueTicketDelivery } from './ticketDeliveryUtils.js';
 
 /**
  * @typedef {import('../types.js').TicketData} TicketData
  * @typedef {import('../types.js').TicketResponse} TicketResponse
+ * @typedef {import('../types.js').TicketActor} TicketActor
+ * @typedef {import('../types.js').TicketStatusChange} TicketStatusChange
+ */
+
+/**
+ * @typedef {Object} SlaBreach
+ * @property {TicketData} ticket - Ticket as it was before escalation
+ * @property {('first_response' | 'resolution')[]} breaches - Newly missed targets
+ * @property {string} priority - Priority after escalation
  */
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION });
 const docClient = DynamoDBDocumentClient.from(client);
 
+/**
+ * @typedef {Object} TicketCategory
+ * @property {string} value - Value stored on the ticket
+ * @property {string} label - Name shown to users
+ */
+
+/**
+ * Get the ticket categories offered by every bot from
+ * config/ticket-categories.json
+ * @returns {TicketCategory[]}
+ */
+export function getTicketCategories() {
+    return loadConfigFile('ticket-categories.json').categories || [];
+}
+
+/**
+ * Ticket priorities, lowest first
+ */
+export const TICKET_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
 /**
  * Ticket and CRM management system
  */
@@ -25,14 +59,28 @@ export class TicketManager {
      * @returns {Promise<TicketData>}
      */
     static async createTicket(ticketData) {
+        const createdAt = new Date().toISOString();
         /** @type {TicketData} */
         const ticket = {
+            priority: 'normal',
             ...ticketData,
             id: `TICKET_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            type: 'ticket',
             responses: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            createdAt,
+            updatedAt: createdAt,
+            // Puts the ticket in the type index
+            timestamp: createdAt
         };
+        ticket.sla = calculateSlaTargets(ticket);
+        ticket.history = [{
+            from: null,
+            to: ticket.status,
+            userId: ticket.userId,
+            platform: ticket.platform,
+            isStaff: false,
+            timestamp: ticket.createdAt
+        }];
 
         await docClient.send(new PutCommand({
             TableName: process.env.DYNAMODB_TABLE_NAME,
@@ -43,12 +91,14 @@ export class TicketManager {
     }
 
     /**
-     * Add response to ticket
+     * Add response to ticket. Staff responses are delivered to the ticket
+     * creator on the platform the ticket was opened on.
      * @param {string} ticketId - Ticket ID
      * @param {TicketResponse} response - Response data
+     * @param {{ notify?: boolean }} [options] - Set `notify: false` when the user has already seen the response
      * @returns {Promise<void>}
      */
-    static async addResponse(ticketId, response) {
+    static async addResponse(ticketId, response, { notify = true } = {}) {
         const ticket = await this.getTicket(ticketId);
         if (!ticket) {
             throw new Error('Ticket not found');
@@ -70,36 +120,308 @@ export class TicketManager {
         };
 
         await docClient.send(new UpdateCommand(params));
+
+        if (response.isStaff && notify) {
+            await queueTicketDelivery(ticket, response);
+        }
     }
 
     /**
-     * Update ticket status
+     * Move a ticket to a new status and append the change to its history.
+     * The update only applies if the status has not changed since it was
+     * read, so concurrent changes cannot skip the transition check.
      * @param {string} ticketId - Ticket ID
      * @param {string} status - New status
-     * @param {string} [comment] - Status change comment
-     * @returns {Promise<void>}
+     * @param {TicketActor} actor - Who is making the change
+     * @param {string} [comment] - Reason for the change
+     * @returns {Promise<TicketStatusChange>}
+     * @throws {Error} If the ticket does not exist, the transition is not allowed or the status changed concurrently
      */
-    static async updateStatus(ticketId, status, comment) {
+    static async updateStatus(ticketId, status, actor, comment) {
+        const ticket = await this.getTicket(ticketId);
+        if (!ticket) {
+            throw new Error('Ticket not found');
+        }
+        if (!isValidTransition(ticket.status, status)) {
+            throw new Error(`A ticket cannot move from ${formatStatus(ticket.status)} to ${formatStatus(status)}`);
+        }
+
+        /** @type {TicketStatusChange} */
+        const change = {
+            from: ticket.status,
+            to: status,
+            userId: actor.userId,
+            platform: actor.platform,
+            isStaff: actor.isStaff,
+            ...(comment && { comment }),
+            timestamp: new Date().toISOString()
+        };
+
         const params = {
             TableName: process.env.DYNAMODB_TABLE_NAME,
             Key: { id: ticketId },
-            UpdateExpression: 'SET #status = :status, #updatedAt = :timestamp',
+            UpdateExpression: 'SET #status = :status, #updatedAt = :timestamp, #history = list_append(if_not_exists(#history, :empty_list), :change)',
+            ConditionExpression: '#status = :from',
             ExpressionAttributeNames: {
                 '#status': 'status',
-                '#updatedAt': 'updatedAt'
+                '#updatedAt': 'updatedAt',
+                '#history': 'history'
             },
             ExpressionAttributeValues: {
                 ':status': status,
+                ':from': ticket.status,
+                ':timestamp': change.timestamp,
+                ':change': [change],
+                ':empty_list': []
+            }
+        };
+
+        try {
+            await docClient.send(new UpdateCommand(params));
+        } catch (error) {
+            if (error instanceof Error && error.name === 'ConditionalCheckFailedException') {
+                throw new Error('The ticket status was changed by someone else, please try again');
+            }
+            throw error;
+        }
+
+        return change;
+    }
+
+    /**
+     * Assign a ticket to a staff member
+     * @param {string} ticketId - Ticket ID
+     * @param {string} assigneeId - Staff member's Discord user ID
+     * @returns {Promise<void>}
+     */
+    static async assignTicket(ticketId, assigneeId) {
+        const timestamp = new Date().toISOString();
+        const params = {
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: ticketId },
+            UpdateExpression: 'SET #assignee = :assignee, #assignedAt = :timestamp, #updatedAt = :timestamp',
+            ExpressionAttributeNames: {
+                '#assignee': 'assignee',
+                '#assignedAt': 'assignedAt',
+                '#updatedAt': 'updatedAt'
+            },
+            ExpressionAttributeValues: {
+                ':assignee': assigneeId,
+                ':timestamp': timestamp
+            }
+        };
+
+        await docClient.send(new UpdateCommand(params));
+    }
+
+    /**
+     * Set ticket priority
+     * @param {string} ticketId - Ticket ID
+     * @param {string} priority - One of `TICKET_PRIORITIES`
+     * @returns {Promise<void>}
+     * @throws {Error} If the priority is unknown
+     */
+    static async setPriority(ticketId, priority) {
+        if (!TICKET_PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown priority: ${priority}`);
+        }
+
+        const params = {
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: ticketId },
+            UpdateExpression: 'SET #priority = :priority, #updatedAt = :timestamp',
+            ExpressionAttributeNames: {
+                '#priority': 'priority',
+                '#updatedAt': 'updatedAt'
+            },
+            ExpressionAttributeValues: {
+                ':priority': priority,
                 ':timestamp': new Date().toISOString()
             }
         };
 
-        if (comment) {
-            params.UpdateExpression += ', #statusComment = :comment';
-            params.ExpressionAttributeNames['#statusComment'] = 'statusComment';
-            params.ExpressionAttributeValues[':comment'] = comment;
+        await docClient.send(new UpdateCommand(params));
+    }
+
+    /**
+     * Get tickets awaiting staff from every platform, most urgent first and
+     * oldest first within a priority
+     * @param {{ assignee?: string }} [filters] - Only tickets assigned to this staff member
+     * @returns {Promise<TicketData[]>}
+     */
+    static async getTicketQueue({ assignee } = {}) {
+        const params = {
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            IndexName: 'type-timestamp-index',
+            KeyConditionExpression: '#type = :type',
+            FilterExpression: '#status <> :resolved AND #status <> :closed',
+            ExpressionAttributeNames: {
+                '#type': 'type',
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':type': 'ticket',
+                ':resolved': 'resolved',
+                ':closed': 'closed'
+            }
+        };
+
+        if (assignee) {
+            params.ExpressionAttributeNames['#assignee'] = 'assignee';
+            params.FilterExpression += ' AND #assignee = :assignee';
+            params.ExpressionAttributeValues[':assignee'] = assignee;
+        }
+
+        const tickets = (await DynamoDBUtils.query(params)).map(item => /** @type {TicketData} */(item));
+
+        /** @param {TicketData} ticket */
+        const rank = ticket => TICKET_PRIORITIES.indexOf(ticket.priority || 'normal');
+        return tickets.sort((a, b) => rank(b) - rank(a) || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Get resolved and closed tickets from every platform, most recently
+     * updated first
+     * @returns {Promise<TicketData[]>}
+     */
+    static async getResolvedTickets() {
+        const items = await DynamoDBUtils.query({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            IndexName: 'type-timestamp-index',
+            KeyConditionExpression: '#type = :type',
+            FilterExpression: '#status IN (:resolved, :closed)',
+            ExpressionAttributeNames: {
+                '#type': 'type',
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':type': 'ticket',
+                ':resolved': 'resolved',
+                ':closed': 'closed'
+            }
+        });
+
+        return items
+            .map(item => /** @type {TicketData} */(item))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Flag unresolved tickets that missed an SLA target and raise their
+     * priority one level. Each target is only flagged once, even when runs
+     * overlap: a ticket whose breach was recorded since it was read is skipped.
+     * @param {Date} [now] - Current time
+     * @returns {Promise<SlaBreach[]>}
+     */
+    static async checkSlaBreaches(now = new Date()) {
+        const tickets = await this.getTicketQueue();
+        /** @type {SlaBreach[]} */
+        const results = [];
+
+        for (const ticket of tickets) {
+            // Tickets opened before SLAs were introduced get targets now
+            const sla = ticket.sla || calculateSlaTargets(ticket);
+            const breaches = findNewSlaBreaches(ticket, sla, now);
+            if (!breaches.length) continue;
+
+            const current = TICKET_PRIORITIES.indexOf(ticket.priority || 'normal');
+            const priority = TICKET_PRIORITIES[Math.min(current + 1, TICKET_PRIORITIES.length - 1)];
+
+            try {
+                await docClient.send(new UpdateCommand({
+                    TableName: process.env.DYNAMODB_TABLE_NAME,
+                    Key: { id: ticket.id },
+                    UpdateExpression: 'SET #sla = :sla, #priority = :priority, #updatedAt = :timestamp',
+                    ConditionExpression: breaches.map((_, index) => `NOT contains(#sla.#breaches, :breach${index})`).join(' AND '),
+                    ExpressionAttributeNames: {
+                        '#sla': 'sla',
+                        '#breaches': 'breaches',
+                        '#priority': 'priority',
+                        '#updatedAt': 'updatedAt'
+                    },
+                    ExpressionAttributeValues: {
+                        ':sla': { ...sla, breaches: [...(sla.breaches || []), ...breaches] },
+                        ':priority': priority,
+                        ':timestamp': now.toISOString(),
+                        ...Object.fromEntries(breaches.map((breach, index) => [`:breach${index}`, breach]))
+                    }
+                }));
+            } catch (error) {
+                // Another run escalated the ticket first
+                if (error instanceof Error && error.name === 'ConditionalCheckFailedException') continue;
+                throw error;
+            }
+
+            results.push({ ticket, breaches, priority });
+        }
+
+        return results;
+    }
+
+    /**
+     * Index tickets created before tickets carried a `timestamp`. Without
+     * one they are missing from the type index the queue, SLA checks and
+     * analytics query.
+     * @returns {Promise<number>} Number of tickets updated
+     */
+    static async backfillTimestamps() {
+        const tickets = await DynamoDBUtils.scan({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            FilterExpression: 'begins_with(#id, :ticketPrefix) AND attribute_not_exists(#timestamp)',
+            ExpressionAttributeNames: {
+                '#id': 'id',
+                '#timestamp': 'timestamp'
+            },
+            ExpressionAttributeValues: {
+                ':ticketPrefix': 'TICKET_'
+            }
+        });
+
+        for (const ticket of tickets) {
+            await docClient.send(new UpdateCommand({
+                TableName: process.env.DYNAMODB_TABLE_NAME,
+                Key: { id: ticket.id },
+                UpdateExpression: 'SET #timestamp = if_not_exists(#timestamp, :createdAt), #type = :type',
+                ExpressionAttributeNames: {
+                    '#timestamp': 'timestamp',
+                    '#type': 'type'
+                },
+                ExpressionAttributeValues: {
+                    ':createdAt': ticket.createdAt,
+                    ':type': 'ticket'
+                }
+            }));
         }
 
+        return tickets.length;
+    }
+
+    /**
+     * Set metadata fields on a ticket, keeping existing ones
+     * @param {string} ticketId - Ticket ID
+     * @param {Record<string, any>} metadata - Fields to set
+     * @returns {Promise<void>}
+     */
+    static async updateMetadata(ticketId, metadata) {
+        const params = {
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: ticketId },
+            UpdateExpression: 'SET #updatedAt = :timestamp',
+            ExpressionAttributeNames: {
+                '#metadata': 'metadata',
+                '#updatedAt': 'updatedAt'
+            },
+            ExpressionAttributeValues: {
+                ':timestamp': new Date().toISOString()
+            }
+        };
+
+        Object.entries(metadata).forEach(([key, value], index) => {
+            params.UpdateExpression += `, #metadata.#field${index} = :field${index}`;
+            params.ExpressionAttributeNames[`#field${index}`] = key;
+            params.ExpressionAttributeValues[`:field${index}`] = value;
+        });
+
         await docClient.send(new UpdateCommand(params));
     }
 
@@ -118,6 +440,18 @@ export class TicketManager {
         return response.Item ? /** @type {TicketData} */ (response.Item) : null;
     }
 
+    /**
+     * Get a ticket only if it belongs to the user on the given platform
+     * @param {string} ticketId - Ticket ID, with or without a leading `#`
+     * @param {string} userId - User ID
+     * @param {string} platform - Platform the user is on
+     * @returns {Promise<TicketData|null>}
+     */
+    static async getOwnedTicket(ticketId, userId, platform) {
+        const ticket = await this.getTicket(ticketId.trim().replace(/^#/, ''));
+        return ticket && ticket.userId === userId && ticket.platform === platform ? ticket : null;
+    }
+
     /**
      * Get user's tickets
      * @param {string} userId - User ID
@@ -129,17 +463,21 @@ export class TicketManager {
             TableName: process.env.DYNAMODB_TABLE_NAME,
             IndexName: 'userId-index',
             KeyConditionExpression: '#userId = :userId',
+            // The index also holds the user's interactions
+            FilterExpression: 'begins_with(#id, :ticketPrefix)',
             ExpressionAttributeNames: {
-                '#userId': 'userId'
+                '#userId': 'userId',
+                '#id': 'id'
             },
             ExpressionAttributeValues: {
-                ':userId': userId
+                ':userId': userId,
+                ':ticketPrefix': 'TICKET_'
             }
         };
 
         if (status) {
             params.ExpressionAttributeNames['#status'] = 'status';
-            params.FilterExpression = '#status = :status';
+            params.FilterExpression += ' AND #status = :status';
             params.ExpressionAttributeValues[':status'] = status;
         }
 
@@ -171,8 +509,7 @@ export class TicketManager {
             params.ExpressionAttributeValues[':platform'] = platform;
         }
 
-        const response = await docClient.send(new QueryCommand(params));
-        const tickets = (response.Items || []).map(item => /** @type {TicketData} */(item));
+        const tickets = (await DynamoDBUtils.query(params)).map(item => /** @type {TicketData} */(item));
 
         return {
             byStatus: this.groupBy(tickets, 'status'),
@@ -1,16 +1,22 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import {
     DynamoDBDocumentClient,
+    DeleteCommand,
     GetCommand,
     PutCommand,
     QueryCommand,
     UpdateCommand
 } from '@aws-sdk/lib-dynamodb';
-import { randomBytes } from 'crypto';
+import { randomBytes, randomInt } from 'crypto';
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION });
 const docClient = DynamoDBDocumentClient.from(client);
 
+// Link codes are valid for 10 minutes
+const LINK_CODE_TTL_SECONDS = 10 * 60;
+const LINK_CODE_LENGTH = 8;
+const LINK_CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
 /**
  * Generate a cryptographically secure random string
  * @param {number} length - Length of the random string
@@ -24,6 +30,15 @@ function generateSecureRandomString(length) {
         .substring(0, length);          // Trim to desired length
 }
 
+/**
+ * Generate a link code of exactly LINK_CODE_LENGTH uppercase letters and digits
+ * @returns {string} Link code
+ */
+function generateLinkCode() {
+    return Array.from({ length: LINK_CODE_LENGTH },
+        () => LINK_CODE_ALPHABET[randomInt(LINK_CODE_ALPHABET.length)]).join('');
+}
+
 export class UserUtils {
     /**
      * Link platform accounts for a user
@@ -91,6 +106,67 @@ export class UserUtils {
         return { success: true, userId };
     }
 
+    /**
+     * Create a one-time code that links another platform account to this one
+     * @param {string} platform - Platform the code is requested from
+     * @param {string} platformId - Platform-specific user ID
+     * @returns {Promise<string>} Link code
+     */
+    static async createLinkCode(platform, platformId) {
+        const code = generateLinkCode();
+
+        await docClient.send(new PutCommand({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Item: {
+                id: `link_code_${code}`,
+                type: 'link_code',
+                sourcePlatform: platform,
+                sourceId: platformId,
+                createdAt: new Date().toISOString(),
+                expiresAt: Math.floor(Date.now() / 1000) + LINK_CODE_TTL_SECONDS
+            }
+        }));
+
+        return code;
+    }
+
+    /**
+     * Redeem a link code from another platform account
+     * @param {string} code - Link code
+     * @param {string} platform - Platform the code is redeemed on
+     * @param {string} platformId - Platform-specific user ID
+     * @returns {Promise<{ success: boolean, userId: string }>} Result of the linking operation
+     * @throws {Error} If the code is unknown, expired or from the same platform
+     */
+    static async redeemLinkCode(code, platform, platformId) {
+        let item;
+        try {
+            // Delete on read so each code can only be used once
+            const response = await docClient.send(new DeleteCommand({
+                TableName: process.env.DYNAMODB_TABLE_NAME,
+                Key: { id: `link_code_${code.trim().toUpperCase()}` },
+                ConditionExpression: 'attribute_exists(#id)',
+                ExpressionAttributeNames: { '#id': 'id' },
+                ReturnValues: 'ALL_OLD'
+            }));
+            item = response.Attributes;
+        } catch (error) {
+            if (!(error instanceof Error && error.name === 'ConditionalCheckFailedException')) throw error;
+        }
+
+        if (!item || item.expiresAt < Math.floor(Date.now() / 1000)) {
+            throw new Error('Invalid or expired link code');
+        }
+        if (item.sourcePlatform === platform) {
+            throw new Error(`Link codes must be redeemed on a platform other than ${platform}`);
+        }
+
+        return await this.linkAccounts({
+            [`${item.sourcePlatform}Id`]: item.sourceId,
+            [`${platform}Id`]: platformId
+        });
+    }
+
     /**
      * Find user by platform-specific ID
      * @param {string} platform - Platform name
@@ -0,0 +1,179 @@
+import { createHmac, createPublicKey, timingSafeEqual, verify } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { LRUCache } from 'lru-cache';
+import { DynamoDBUtils } from './dynamoDBUtils.js';
+
+/**
+ * @typedef {import('../types.js').LambdaEvent} LambdaEvent
+ * @typedef {import('../types.js').LambdaResponse} LambdaResponse
+ */
+
+// DER prefix that wraps a raw 32-byte Ed25519 key as an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Sources whose rejection was recorded in the last minute. Unauthenticated
+ * requests cost nothing to send, so repeats are logged but not stored.
+ * @type {LRUCache<string, true>}
+ */
+const recentRejections = new LRUCache({
+    max: 1000,
+    ttl: 60 * 1000
+});
+
+/**
+ * Read a header value regardless of its casing
+ * @param {Record<string, string> | undefined} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string} Header value or empty string
+ */
+function getHeader(headers, name) {
+    const lowerName = name.toLowerCase();
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === lowerName);
+    return key && headers ? headers[key] || '' : '';
+}
+
+/**
+ * Get the raw request body exactly as it was signed
+ * @param {LambdaEvent} event - Lambda event
+ * @returns {string} Raw body
+ */
+function getRawBody(event) {
+    if (!event.body) return '';
+    return event.isBase64Encoded
+        ? Buffer.from(event.body, 'base64').toString('utf8')
+        : event.body;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both values match
+ */
+function safeCompare(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+
+    if (bufferA.length !== bufferB.length) {
+        return false;
+    }
+
+    return timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a Meta `X-Hub-Signature-256` header against the raw body
+ * @param {string} rawBody - Raw request body
+ * @param {string} signature - Signature header value
+ * @param {string | undefined} appSecret - Meta app secret
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyMetaSignature(rawBody, signature, appSecret) {
+    if (!signature || !appSecret) return false;
+
+    const expectedSignature = createHmac('sha256', appSecret)
+        .update(rawBody)
+        .digest('hex');
+
+    return safeCompare(`sha256=${expectedSignature}`, signature);
+}
+
+/**
+ * Verify a Meta webhook subscription handshake
+ * @param {Record<string, string> | undefined} query - Query string parameters
+ * @returns {boolean} True if the verify token matches
+ */
+function verifyMetaSubscription(query) {
+    const verifyToken = process.env.META_VERIFY_TOKEN;
+    if (!verifyToken || query?.['hub.mode'] !== 'subscribe') return false;
+
+    return safeCompare(query['hub.verify_token'] || '', verifyToken);
+}
+
+/**
+ * Verify the Telegram `X-Telegram-Bot-Api-Secret-Token` header
+ * @param {Record<string, string> | undefined} headers - Request headers
+ * @returns {boolean} True if the secret token matches
+ */
+function verifyTelegramSecret(headers) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) return false;
+
+    return safeCompare(getHeader(headers, 'x-telegram-bot-api-secret-token'), secret);
+}
+
+/**
+ * Verify a Discord interaction's `X-Signature-Ed25519` header, which signs
+ * the timestamp header followed by the raw body
+ * @param {string} rawBody - Raw request body
+ * @param {string} signature - Hex-encoded signature header value
+ * @param {string} timestamp - `X-Signature-Timestamp` header value
+ * @param {string | undefined} publicKey - Hex-encoded application public key
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyDiscordSignature(rawBody, signature, timestamp, publicKey) {
+    if (!signature || !timestamp || !publicKey) return false;
+    if (!/^[0-9a-f]{128}$/i.test(signature) || !/^[0-9a-f]{64}$/i.test(publicKey)) return false;
+
+    const key = createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+        format: 'der',
+        type: 'spki'
+    });
+
+    return verify(null, Buffer.from(timestamp + rawBody), key, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Log a rejected webhook request, record it (at most once a minute per
+ * source) and build a 401 response
+ * @param {string} platform - Platform the webhook claims to come from
+ * @param {string} reason - Rejection reason
+ * @param {LambdaEvent} event - Lambda event
+ * @returns {Promise<LambdaResponse>} Unauthorized response
+ */
+async function rejectRequest(platform, reason, event) {
+    const sourceIp = event.requestContext?.identity?.sourceIp || 'unknown';
+    const userAgent = getHeader(event.headers, 'user-agent') || 'unknown';
+
+    console.warn(`Rejected ${platform} webhook from ${sourceIp}: ${reason}`);
+
+    const sourceKey = `${platform}_${sourceIp}`;
+    if (!recentRejections.has(sourceKey)) {
+        recentRejections.set(sourceKey, true);
+
+        try {
+            await DynamoDBUtils.putItem({
+                TableName: process.env.DYNAMODB_TABLE_NAME || '',
+                Item: {
+                    id: `webhook_rejected_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    type: 'webhook_rejected',
+                    targetPlatform: platform,
+                    reason,
+                    sourceIp,
+                    userAgent,
+                    httpMethod: event.httpMethod,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('Error recording rejected webhook:', error);
+        }
+    }
+
+    return {
+        statusCode: 401,
+        body: JSON.stringify({ error: 'Unauthorized' })
+    };
+}
+
+export {
+    getHeader,
+    getRawBody,
+    verifyMetaSignature,
+    verifyMetaSubscription,
+    verifyTelegramSecret,
+    verifyDiscordSignature,
+    rejectRequest
+};
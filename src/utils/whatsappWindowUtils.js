@@ -0,0 +1,164 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { loadConfigFile } from './configUtils.js';
+
+/**
+ * @typedef {import('../types/meta.js').OutboundMessage} OutboundMessage
+ */
+
+/**
+ * @typedef {Object} WhatsAppTemplate
+ * @property {string} language - Template language code
+ * @property {string[]} parameters - Ordered body parameter names
+ * @property {string} [description] - What the template is used for
+ */
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * WhatsApp 24-hour customer service window tracking. Messenger and Instagram
+ * apply the same window to standard messaging, so it is tracked for them too.
+ */
+export class WhatsAppWindow {
+    /**
+     * Record an inbound message, opening (or extending) the window
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} [timestamp] - Unix timestamp in seconds from the webhook
+     * @param {'whatsapp' | 'facebook' | 'instagram'} [platform] - Platform the message was received on
+     * @returns {Promise<void>}
+     */
+    static async recordInbound(userId, timestamp, platform = 'whatsapp') {
+        const receivedAt = timestamp
+            ? new Date(Number(timestamp) * 1000).toISOString()
+            : new Date().toISOString();
+
+        try {
+            await docClient.send(new UpdateCommand({
+                TableName: process.env.DYNAMODB_TABLE_NAME,
+                Key: { id: `${platform}_window_${userId}` },
+                UpdateExpression: 'SET #type = :type, #lastInboundAt = :receivedAt',
+                ConditionExpression: 'attribute_not_exists(#lastInboundAt) OR #lastInboundAt < :receivedAt',
+                ExpressionAttributeNames: {
+                    '#type': 'type',
+                    '#lastInboundAt': 'lastInboundAt'
+                },
+                ExpressionAttributeValues: {
+                    ':type': `${platform}_window`,
+                    ':receivedAt': receivedAt
+                }
+            }));
+        } catch (error) {
+            // An older message arriving late must not shrink the window
+            if (!(error instanceof Error && error.name === 'ConditionalCheckFailedException')) throw error;
+        }
+    }
+
+    /**
+     * Get the time of the user's last inbound message
+     * @param {string} userId - WhatsApp user ID
+     * @param {'whatsapp' | 'facebook' | 'instagram'} [platform] - Platform name
+     * @returns {Promise<string|null>} ISO timestamp
+     */
+    static async getLastInbound(userId, platform = 'whatsapp') {
+        const response = await docClient.send(new GetCommand({
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            Key: { id: `${platform}_window_${userId}` }
+        }));
+
+        return response.Item?.lastInboundAt || null;
+    }
+
+    /**
+     * Check whether free-form messages can still be sent to the user
+     * @param {string} userId - WhatsApp user ID
+     * @param {'whatsapp' | 'facebook' | 'instagram'} [platform] - Platform name
+     * @returns {Promise<boolean>}
+     */
+    static async isOpen(userId, platform = 'whatsapp') {
+        const lastInbound = await this.getLastInbound(userId, platform);
+        if (!lastInbound) return false;
+
+        return Date.now() - new Date(lastInbound).getTime() < CUSTOMER_SERVICE_WINDOW_MS;
+    }
+}
+
+/**
+ * Get the approved template registry
+ * @returns {{ defaultTemplate: string, templates: Record<string, WhatsAppTemplate> }}
+ */
+export function getTemplateRegistry() {
+    return loadConfigFile('whatsapp-templates.json');
+}
+
+/**
+ * Make text usable as a template parameter. WhatsApp rejects parameters
+ * containing newlines, tabs or more than four consecutive spaces.
+ * @param {string} text - Parameter value
+ * @returns {string}
+ */
+export function toTemplateText(text) {
+    return text
+        .replace(/\s*[\n\r\t]+\s*/g, ' ')
+        .replace(/ {5,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Build a template message from the registry
+ * @param {string} name - Template name
+ * @param {Record<string, string>} values - Parameter values by name
+ * @returns {OutboundMessage}
+ * @throws {Error} If the template is unknown or a parameter is missing
+ */
+export function buildTemplateMessage(name, values) {
+    const template = getTemplateRegistry().templates[name];
+    if (!template) {
+        throw new Error(`Unknown WhatsApp template: ${name}`);
+    }
+
+    const missing = template.parameters.filter(param => !values[param]);
+    if (missing.length > 0) {
+        throw new Error(`Missing parameters for WhatsApp template ${name}: ${missing.join(', ')}`);
+    }
+
+    return {
+        type: 'template',
+        templateName: name,
+        language: template.language,
+        components: template.parameters.length > 0
+            ? [{
+                type: 'body',
+                parameters: template.parameters.map(param => ({ type: 'text', text: toTemplateText(values[param]) }))
+            }]
+            : []
+    };
+}
+
+/**
+ * Replace a free-form message with its template fallback
+ * @param {string} userId - WhatsApp user ID
+ * @param {OutboundMessage} message - Free-form message that can no longer be sent
+ * @returns {OutboundMessage}
+ * @throws {Error} If no template can carry the message
+ */
+export function toTemplateFallback(userId, message) {
+    const fallback = message.fallbackTemplate || {
+        name: getTemplateRegistry().defaultTemplate,
+        parameters: { message: message.text || message.caption || '' }
+    };
+
+    try {
+        return buildTemplateMessage(fallback.name, fallback.parameters);
+    } catch (error) {
+        const reason = error instanceof Error ? error.message : 'Unknown error';
+        throw new Error(
+            `Cannot message WhatsApp user ${userId}: the 24-hour customer service window has closed ` +
+            `and no approved template could be used (${reason})`
+        );
+    }
+}
+
+export default WhatsAppWindow;
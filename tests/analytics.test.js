@@ -0,0 +1,57 @@
+import { jest } from '@jest/globals';
+import { DynamoDBUtils } from '../src/utils/dynamoDBUtils.js';
+import Analytics from '../src/utils/analyticsUtils.js';
+
+describe('Analytics', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getGuildStats', () => {
+        it('should query each guild event type over the period instead of scanning', async () => {
+            const scan = jest.spyOn(DynamoDBUtils, 'scan');
+            /** @type {Record<string, Record<string, any>[]>} */
+            const eventsByType = {
+                message: [
+                    { userId: 'a', timestamp: '2026-01-01T00:00:00.000Z' },
+                    { userId: 'b', timestamp: '2026-01-01T01:00:00.000Z' }
+                ],
+                reaction: [
+                    { userId: 'a', action: 'add', content: '👍', timestamp: '2026-01-01T02:00:00.000Z' },
+                    { userId: 'a', action: 'remove', content: '👍', timestamp: '2026-01-01T03:00:00.000Z' }
+                ],
+                member_join: [
+                    { type: 'member_join', userId: 'c', timestamp: '2026-01-01T04:00:00.000Z' },
+                    { type: 'member_join', userId: 'd', timestamp: '2026-01-01T05:00:00.000Z' }
+                ],
+                member_leave: [
+                    { type: 'member_leave', userId: 'd', timestamp: '2026-01-01T06:00:00.000Z' }
+                ]
+            };
+            const query = jest.spyOn(DynamoDBUtils, 'query').mockImplementation(async params => {
+                const type = /** @type {any} */ (params).ExpressionAttributeValues[':type'];
+                return (eventsByType[type] || []).map(item => ({ type, ...item }));
+            });
+
+            const stats = await Analytics.getGuildStats('guild-1', 7, 11);
+
+            expect(scan).not.toHaveBeenCalled();
+            expect(query).toHaveBeenCalledTimes(6);
+            const params = /** @type {any} */ (query.mock.calls[0][0]);
+            expect(params.IndexName).toBe('type-timestamp-index');
+            expect(params.KeyConditionExpression).toBe('#type = :type AND #timestamp >= :start');
+            expect(params.ExpressionAttributeValues[':guildId']).toBe('guild-1');
+            expect(stats).toEqual(expect.objectContaining({
+                activeMembers: 4,
+                messageCount: 2,
+                reactionCount: 1,
+                reactionRemovedCount: 1,
+                topReactions: { '👍': 1 },
+                joins: 2,
+                leaves: 1,
+                churnRate: 0.1,
+                retentionRate: 0.5
+            }));
+        });
+    });
+});
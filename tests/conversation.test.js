@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import { DeleteCommand } from '@aws-sdk/lib-dynamodb';
+import { ConversationManager, formatConversationReply } from '../src/utils/conversationUtils.js';
+import { linkAccountFlow } from '../src/utils/conversationFlows.js';
+import { UserUtils } from '../src/utils/userUtils.js';
+import { send } from './setup.js';
+
+describe('Conversations', () => {
+    /** @type {Map<string, any>} */
+    let store;
+    const onComplete = jest.fn(async ({ data }) => `Done: ${data.color}/${data.size || '-'}`);
+
+    beforeAll(() => {
+        ConversationManager.registerFlow({
+            name: 'test_flow',
+            steps: [
+                {
+                    key: 'color',
+                    prompt: 'Pick a color',
+                    options: [{ label: 'Red', value: 'red' }, { label: 'Blue', value: 'blue' }]
+                },
+                {
+                    key: 'size',
+                    prompt: 'Which size?',
+                    when: data => data.color === 'red',
+                    validate: input => ['s', 'm', 'l'].includes(input) ? null : 'Sizes are s, m or l.'
+                }
+            ],
+            onComplete: /** @type {any} */ (onComplete)
+        });
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        onComplete.mockClear();
+        store = new Map();
+        // Keep conversation state in memory instead of DynamoDB
+        const manager = /** @type {any} */ (ConversationManager);
+        jest.spyOn(manager, 'get').mockImplementation(async (platform, userId) =>
+            store.get(`conversation_${platform}_${userId}`) || null);
+        jest.spyOn(manager, 'save').mockImplementation(async (platform, userId, state) => {
+            store.set(`conversation_${platform}_${userId}`, structuredClone(state));
+        });
+        jest.spyOn(manager, 'clear').mockImplementation(async (platform, userId) => {
+            store.delete(`conversation_${platform}_${userId}`);
+        });
+    });
+
+    describe('ConversationManager', () => {
+        it('should ask each step and complete the flow', async () => {
+            const first = await ConversationManager.start('telegram', '1', 'test_flow');
+            expect(first.text).toContain('Pick a color');
+            expect(first.options).toHaveLength(2);
+
+            await expect(ConversationManager.handleInput('telegram', '1', 'red'))
+                .resolves.toEqual({ text: 'Which size?', options: undefined, done: false });
+            await expect(ConversationManager.handleInput('telegram', '1', 'm'))
+                .resolves.toEqual({ text: 'Done: red/m', done: true });
+            expect(store.size).toBe(0);
+        });
+
+        it('should skip steps whose condition does not hold', async () => {
+            await ConversationManager.start('telegram', '1', 'test_flow');
+
+            await expect(ConversationManager.handleInput('telegram', '1', '2'))
+                .resolves.toEqual({ text: 'Done: blue/-', done: true });
+        });
+
+        it('should skip steps answered up front', async () => {
+            const reply = await ConversationManager.start('telegram', '1', 'test_flow', { color: 'red' });
+
+            expect(reply.text).toContain('Which size?');
+        });
+
+        it('should re-ask on invalid options and failed validation', async () => {
+            await ConversationManager.start('telegram', '1', 'test_flow');
+
+            const invalidOption = await ConversationManager.handleInput('telegram', '1', 'green');
+            expect(invalidOption?.text).toContain('Please choose one of the options.');
+
+            await ConversationManager.handleInput('telegram', '1', 'Red');
+            const invalidSize = await ConversationManager.handleInput('telegram', '1', 'xl');
+            expect(invalidSize).toEqual({ text: 'Sizes are s, m or l.', options: undefined, done: false });
+            expect(store.get('conversation_telegram_1').step).toBe('size');
+        });
+
+        it('should go back to the previous step', async () => {
+            await ConversationManager.start('telegram', '1', 'test_flow');
+            await ConversationManager.handleInput('telegram', '1', 'red');
+
+            const reply = await ConversationManager.handleInput('telegram', '1', '/back');
+
+            expect(reply?.text).toBe('Pick a color');
+            expect(store.get('conversation_telegram_1').data).toEqual({});
+        });
+
+        it('should cancel the conversation', async () => {
+            await ConversationManager.start('telegram', '1', 'test_flow');
+
+            await expect(ConversationManager.handleInput('telegram', '1', 'cancel'))
+                .resolves.toEqual({ text: 'Cancelled.', done: true });
+            expect(store.size).toBe(0);
+        });
+
+        it('should keep conversations of different platforms apart', async () => {
+            await ConversationManager.start('telegram', '1', 'test_flow');
+
+            await expect(ConversationManager.handleInput('discord', '1', 'red')).resolves.toBeNull();
+        });
+
+        it('should keep the conversation when completion fails', async () => {
+            onComplete.mockRejectedValueOnce(new Error('boom'));
+            await ConversationManager.start('telegram', '1', 'test_flow');
+
+            await expect(ConversationManager.handleInput('telegram', '1', 'blue')).rejects.toThrow('boom');
+            expect(store.has('conversation_telegram_1')).toBe(true);
+        });
+
+        it('should reject unknown flows', async () => {
+            await expect(ConversationManager.start('telegram', '1', 'missing'))
+                .rejects.toThrow('Unknown conversation flow: missing');
+        });
+    });
+
+    describe('formatConversationReply', () => {
+        it('should list options as numbered choices', () => {
+            expect(formatConversationReply({
+                text: 'Pick a color',
+                options: [{ label: 'Red', value: 'red' }, { label: 'Blue', value: 'blue' }],
+                done: false
+            })).toBe('Pick a color\n\n1. Red\n2. Blue');
+        });
+    });
+
+    describe('UserUtils.createLinkCode', () => {
+        it('should only create codes the link account flow accepts', async () => {
+            const codeStep = linkAccountFlow.steps.find(step => step.key === 'code');
+            const validate = /** @type {(input: string) => string | null} */ (codeStep?.validate);
+
+            for (let i = 0; i < 200; i++) {
+                const code = await UserUtils.createLinkCode('discord', 'discord-1');
+                expect(validate(code)).toBeNull();
+                expect(code).toBe(code.toUpperCase());
+            }
+        });
+    });
+
+    describe('UserUtils.redeemLinkCode', () => {
+        beforeEach(() => {
+            send.mockReset();
+        });
+
+        /**
+         * @param {Record<string, any>} attributes - Link code record
+         */
+        const linkCode = (attributes) => ({
+            Attributes: {
+                sourcePlatform: 'discord',
+                sourceId: 'discord-1',
+                expiresAt: Math.floor(Date.now() / 1000) + 60,
+                ...attributes
+            }
+        });
+
+        it('should consume the code and link both accounts', async () => {
+            send.mockResolvedValueOnce(linkCode({}));
+            const linkAccounts = jest.spyOn(UserUtils, 'linkAccounts').mockResolvedValue({ success: true, userId: 'user_1' });
+
+            await expect(UserUtils.redeemLinkCode(' abcd1234 ', 'telegram', 'telegram-1'))
+                .resolves.toEqual({ success: true, userId: 'user_1' });
+
+            const params = /** @type {any} */ (DeleteCommand).mock.calls.at(-1)[0];
+            expect(params.Key).toEqual({ id: 'link_code_ABCD1234' });
+            expect(params.ConditionExpression).toBe('attribute_exists(#id)');
+            expect(linkAccounts).toHaveBeenCalledWith({ discordId: 'discord-1', telegramId: 'telegram-1' });
+        });
+
+        it('should reject unknown codes', async () => {
+            send.mockRejectedValueOnce(Object.assign(new Error('The conditional request failed'), {
+                name: 'ConditionalCheckFailedException'
+            }));
+
+            await expect(UserUtils.redeemLinkCode('ABCD1234', 'telegram', 'telegram-1'))
+                .rejects.toThrow('Invalid or expired link code');
+        });
+
+        it('should reject expired codes', async () => {
+            send.mockResolvedValueOnce(linkCode({ expiresAt: Math.floor(Date.now() / 1000) - 1 }));
+
+            await expect(UserUtils.redeemLinkCode('ABCD1234', 'telegram', 'telegram-1'))
+                .rejects.toThrow('Invalid or expired link code');
+        });
+
+        it('should reject codes redeemed on the platform they came from', async () => {
+            send.mockResolvedValueOnce(linkCode({ sourcePlatform: 'telegram' }));
+
+            await expect(UserUtils.redeemLinkCode('ABCD1234', 'telegram', 'telegram-2'))
+                .rejects.toThrow('Link codes must be redeemed on a platform other than telegram');
+        });
+
+        it('should rethrow other errors', async () => {
+            send.mockRejectedValueOnce(new Error('Throughput exceeded'));
+
+            await expect(UserUtils.redeemLinkCode('ABCD1234', 'telegram', 'telegram-1'))
+                .rejects.toThrow('Throughput exceeded');
+        });
+    });
+});
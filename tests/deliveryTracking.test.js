@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { DynamoDBUtils } from '../src/utils/dynamoDBUtils.js';
+import { DeliveryTracker } from '../src/utils/deliveryUtils.js';
+import Analytics from '../src/utils/analyticsUtils.js';
+
+describe('Delivery Tracking', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('applyReadWatermark', () => {
+        it('should mark the unread messages sent before the watermark as read', async () => {
+            const watermark = Date.parse('2026-01-02T12:00:00.000Z');
+            const query = jest.spyOn(DynamoDBUtils, 'query').mockResolvedValue([
+                { messageId: 'm.1' },
+                { messageId: 'm.2' }
+            ]);
+            const applyStatus = jest.spyOn(DeliveryTracker, 'applyStatus').mockResolvedValue(undefined);
+
+            await DeliveryTracker.applyReadWatermark('facebook', 'psid-1', watermark);
+
+            const params = /** @type {any} */ (query.mock.calls[0][0]);
+            expect(params.ExpressionAttributeValues).toEqual(expect.objectContaining({
+                ':type': 'outbound_message',
+                ':end': '2026-01-02T12:00:00.000Z',
+                ':platform': 'facebook',
+                ':recipientId': 'psid-1'
+            }));
+            expect(applyStatus).toHaveBeenCalledTimes(2);
+            expect(applyStatus).toHaveBeenCalledWith('facebook', {
+                id: 'm.2',
+                status: 'read',
+                timestamp: String(watermark / 1000),
+                recipient_id: 'psid-1'
+            });
+        });
+    });
+
+    describe('getDeliveryStats', () => {
+        it('should compute rates from the outbound messages of a platform', async () => {
+            const query = jest.spyOn(DynamoDBUtils, 'query').mockResolvedValue([
+                { status: 'sent' },
+                { status: 'delivered' },
+                { status: 'read' },
+                { status: 'failed' }
+            ]);
+
+            const stats = await Analytics.getDeliveryStats('instagram', 7);
+
+            expect(/** @type {any} */ (query.mock.calls[0][0]).ExpressionAttributeValues[':platform']).toBe('instagram');
+            expect(stats).toEqual({
+                totalSent: 4,
+                delivered: 2,
+                read: 1,
+                failed: 1,
+                deliveryRate: 0.5,
+                readRate: 0.25,
+                failureRate: 0.25
+            });
+        });
+    });
+});
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import { REST } from 'discord.js';
+import { PutCommand } from '@aws-sdk/lib-dynamodb';
+import { TicketManager } from '../src/utils/ticketUtils.js';
+import { createTicketChannel } from '../src/utils/discordTicketUtils.js';
+
+describe('Discord Ticket Channels', () => {
+    /** @type {{ get: import('@jest/globals').jest.Mock<any>, post: import('@jest/globals').jest.Mock<any> }} */
+    let rest;
+
+    /** @type {any} */
+    const ticket = {
+        id: 'TICKET_1_abcde',
+        userId: 'user-1',
+        subject: 'Login fails',
+        description: 'I cannot log in.',
+        category: 'account',
+        status: 'open',
+        createdAt: '2026-01-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        Object.assign(process.env, {
+            DISCORD_BOT_TOKEN: 'token',
+            DISCORD_SUPPORT_CATEGORY_ID: 'category-1',
+            DISCORD_STAFF_ROLE_ID: 'staff-1'
+        });
+        rest = {
+            get: jest.fn(async route => route === '/channels/category-1' ? { guild_id: 'guild-1' } : []),
+            post: jest.fn(async route => route === '/guilds/guild-1/channels' ? { id: 'channel-new' } : {})
+        };
+        /** @type {any} */ (REST).mockImplementation(() => ({ setToken: () => rest }));
+        jest.spyOn(TicketManager, 'updateMetadata').mockResolvedValue(/** @type {any} */ (undefined));
+    });
+
+    describe('createTicketChannel', () => {
+        it('should open a channel in the support category and link it to the ticket', async () => {
+            await expect(createTicketChannel(ticket)).resolves.toBe('channel-new');
+
+            expect(/** @type {any} */ (rest.post.mock.calls[0][1]).body).toEqual(expect.objectContaining({
+                name: 'ticket-abcde',
+                parent_id: 'category-1',
+                topic: 'Ticket #TICKET_1_abcde: Login fails'
+            }));
+            expect(/** @type {any} */ (PutCommand).mock.calls.at(-1)[0].Item.ticketId).toBe('TICKET_1_abcde');
+            expect(TicketManager.updateMetadata).toHaveBeenCalledWith('TICKET_1_abcde', { discordChannelId: 'channel-new' });
+        });
+
+        it('should reuse the channel a failed attempt already opened', async () => {
+            rest.get.mockImplementation(async route => route === '/channels/category-1'
+                ? { guild_id: 'guild-1' }
+                : [
+                    { id: 'channel-other', parent_id: 'category-1', topic: 'Ticket #TICKET_1_abcdef: Other' },
+                    { id: 'channel-old', parent_id: 'category-1', topic: 'Ticket #TICKET_1_abcde: Login fails' }
+                ]);
+
+            await expect(createTicketChannel(ticket)).resolves.toBe('channel-old');
+
+            expect(rest.post.mock.calls.map(([route]) => route)).toEqual(['/channels/channel-old/messages']);
+            expect(TicketManager.updateMetadata).toHaveBeenCalledWith('TICKET_1_abcde', { discordChannelId: 'channel-old' });
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { PutCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+import { IdempotencyStore } from '../src/utils/idempotencyUtils.js';
+import { registerProcessor, processQueueBatch } from '../src/utils/queueUtils.js';
+import { send } from './setup.js';
+
+describe('Idempotency', () => {
+    const conflict = () => Object.assign(new Error('The conditional request failed'), {
+        name: 'ConditionalCheckFailedException'
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        send.mockClear();
+    });
+
+    describe('claim', () => {
+        it('should claim an unseen event with an expiry', async () => {
+            await expect(IdempotencyStore.claim('whatsapp', 'wamid.1')).resolves.toBe(true);
+
+            const params = /** @type {any} */ (PutCommand).mock.calls.at(-1)[0];
+            expect(params.Item).toEqual(expect.objectContaining({
+                id: 'event_whatsapp_wamid.1',
+                type: 'processed_event',
+                expiresAt: expect.any(Number)
+            }));
+        });
+
+        it('should treat expired records as unclaimed', async () => {
+            await IdempotencyStore.claim('whatsapp', 'wamid.1');
+
+            const params = /** @type {any} */ (PutCommand).mock.calls.at(-1)[0];
+            expect(params.ConditionExpression).toBe('attribute_not_exists(#id) OR #expiresAt < :now');
+            expect(params.ExpressionAttributeValues[':now']).toBeLessThan(params.Item.expiresAt);
+            expect(Math.abs(params.ExpressionAttributeValues[':now'] - Date.now() / 1000)).toBeLessThan(5);
+        });
+
+        it('should report a duplicate when the event is already claimed', async () => {
+            send.mockRejectedValueOnce(conflict());
+
+            await expect(IdempotencyStore.claim('whatsapp', 'wamid.1')).resolves.toBe(false);
+        });
+
+        it('should rethrow other errors', async () => {
+            send.mockRejectedValueOnce(new Error('Throughput exceeded'));
+
+            await expect(IdempotencyStore.claim('whatsapp', 'wamid.1')).rejects.toThrow('Throughput exceeded');
+        });
+    });
+
+    describe('release', () => {
+        it('should delete the claim', async () => {
+            await IdempotencyStore.release('telegram', '42');
+
+            expect(/** @type {any} */ (DeleteCommand).mock.calls.at(-1)[0].Key).toEqual({ id: 'event_telegram_42' });
+        });
+    });
+
+    describe('processOnce', () => {
+        it('should run the task for a new event', async () => {
+            const task = jest.fn(() => Promise.resolve());
+
+            await expect(IdempotencyStore.processOnce('telegram', '42', task)).resolves.toBe(true);
+            expect(task).toHaveBeenCalledTimes(1);
+        });
+
+        it('should skip duplicates', async () => {
+            jest.spyOn(IdempotencyStore, 'claim').mockResolvedValue(false);
+            const task = jest.fn(() => Promise.resolve());
+
+            await expect(IdempotencyStore.processOnce('telegram', '42', task)).resolves.toBe(false);
+            expect(task).not.toHaveBeenCalled();
+        });
+
+        it('should release the claim when the task fails', async () => {
+            const release = jest.spyOn(IdempotencyStore, 'release').mockResolvedValue(undefined);
+
+            await expect(IdempotencyStore.processOnce('telegram', '42', () => Promise.reject(new Error('boom'))))
+                .rejects.toThrow('boom');
+            expect(release).toHaveBeenCalledWith('telegram', '42');
+        });
+
+        it('should run tasks without an event ID unconditionally', async () => {
+            const claim = jest.spyOn(IdempotencyStore, 'claim');
+            const task = jest.fn(() => Promise.resolve());
+
+            await IdempotencyStore.processOnce('whatsapp', undefined, task);
+
+            expect(task).toHaveBeenCalledTimes(1);
+            expect(claim).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('processQueueBatch', () => {
+        it('should process a redelivered SQS message only once', async () => {
+            const processor = jest.fn(() => Promise.resolve());
+            registerProcessor('idempotency_test', processor);
+            const claim = jest.spyOn(IdempotencyStore, 'claim')
+                .mockResolvedValueOnce(true)
+                .mockResolvedValueOnce(false);
+            const record = {
+                messageId: 'sqs-1',
+                body: JSON.stringify({ source: 'idempotency_test', eventId: 'evt-1', payload: {} })
+            };
+
+            const first = await processQueueBatch([record]);
+            const second = await processQueueBatch([record]);
+
+            expect(first.batchItemFailures).toEqual([]);
+            expect(second.batchItemFailures).toEqual([]);
+            expect(processor).toHaveBeenCalledTimes(1);
+            expect(claim).toHaveBeenCalledWith('queue_idempotency_test', 'evt-1');
+        });
+    });
+});
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+import { MockAgent, getGlobalDispatcher, setGlobalDispatcher } from 'undici';
+import { DeliveryTracker } from '../src/utils/deliveryUtils.js';
+import { WhatsAppWindow } from '../src/utils/whatsappWindowUtils.js';
+import { sendMetaMessage } from '../src/utils/metaMessagingUtils.js';
+
+describe('Meta Messaging', () => {
+    const originalDispatcher = getGlobalDispatcher();
+    /** @type {MockAgent} */
+    let agent;
+    /** @type {{ path: string, body: Record<string, any> }[]} */
+    let requests;
+
+    /**
+     * Answer the next Graph API request and capture its body
+     * @param {Record<string, any>} [response] - Graph API response
+     * @param {number} [statusCode] - HTTP status
+     */
+    function mockGraph(response = { message_id: 'm.1', messages: [{ id: 'wamid.1' }] }, statusCode = 200) {
+        agent.get('https://graph.facebook.com')
+            .intercept({ path: /.*/, method: 'POST' })
+            .reply(statusCode, (options) => {
+                requests.push({ path: options.path, body: JSON.parse(String(options.body)) });
+                return response;
+            });
+    }
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        process.env.WHATSAPP_PHONE_NUMBER_ID = '1234';
+        requests = [];
+        agent = new MockAgent();
+        agent.disableNetConnect();
+        setGlobalDispatcher(agent);
+        jest.spyOn(DeliveryTracker, 'recordOutbound').mockResolvedValue(undefined);
+        jest.spyOn(WhatsAppWindow, 'isOpen').mockResolvedValue(true);
+    });
+
+    afterAll(() => {
+        setGlobalDispatcher(originalDispatcher);
+    });
+
+    describe('WhatsApp', () => {
+        it('should send text messages and record them for delivery tracking', async () => {
+            mockGraph();
+
+            const messageId = await sendMetaMessage('whatsapp', '15550001', 'Hello');
+
+            expect(messageId).toBe('wamid.1');
+            expect(requests[0].path).toContain('/1234/messages');
+            expect(requests[0].body).toEqual({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: '15550001',
+                type: 'text',
+                text: { body: 'Hello' }
+            });
+            expect(DeliveryTracker.recordOutbound).toHaveBeenCalledWith('whatsapp', '15550001', 'wamid.1', 'text');
+        });
+
+        it('should send quick replies as reply buttons', async () => {
+            mockGraph();
+
+            await sendMetaMessage('whatsapp', '15550001', {
+                type: 'quick_replies',
+                text: 'Pick one',
+                replies: [{ title: 'Help', payload: 'HELP' }]
+            });
+
+            expect(requests[0].body.interactive).toEqual({
+                type: 'button',
+                body: { text: 'Pick one' },
+                action: { buttons: [{ type: 'reply', reply: { id: 'HELP', title: 'Help' } }] }
+            });
+        });
+
+        it('should reject URL buttons and more than three buttons', async () => {
+            await expect(sendMetaMessage('whatsapp', '15550001', {
+                type: 'buttons',
+                text: 'Docs',
+                buttons: [{ title: 'Open', url: 'https://example.com' }]
+            })).rejects.toThrow('URL buttons are not supported on WhatsApp');
+
+            await expect(sendMetaMessage('whatsapp', '15550001', {
+                type: 'quick_replies',
+                text: 'Pick one',
+                replies: ['A', 'B', 'C', 'D'].map(title => ({ title, payload: title }))
+            })).rejects.toThrow('between 1 and 3 buttons');
+        });
+
+        it('should keep captions off audio and file names on documents', async () => {
+            mockGraph();
+            mockGraph();
+
+            await sendMetaMessage('whatsapp', '15550001', {
+                type: 'media', mediaType: 'audio', url: 'https://example.com/a.ogg', caption: 'ignored'
+            });
+            await sendMetaMessage('whatsapp', '15550001', {
+                type: 'media', mediaType: 'document', url: 'https://example.com/a.pdf', caption: 'Invoice', filename: 'a.pdf'
+            });
+
+            expect(requests[0].body.audio).toEqual({ link: 'https://example.com/a.ogg' });
+            expect(requests[1].body.document).toEqual({ link: 'https://example.com/a.pdf', caption: 'Invoice', filename: 'a.pdf' });
+        });
+
+        it('should surface Graph API errors', async () => {
+            mockGraph({ error: { message: 'Invalid parameter' } }, 400);
+
+            await expect(sendMetaMessage('whatsapp', '15550001', 'Hello'))
+                .rejects.toThrow('Graph API error (400): Invalid parameter');
+            expect(DeliveryTracker.recordOutbound).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Messenger and Instagram', () => {
+        it('should send Messenger buttons as a button template', async () => {
+            mockGraph();
+
+            const messageId = await sendMetaMessage('facebook', 'psid-1', {
+                type: 'buttons',
+                text: 'Choose',
+                buttons: [
+                    { title: 'Docs', url: 'https://example.com' },
+                    { title: 'Help', payload: 'HELP' }
+                ]
+            });
+
+            expect(messageId).toBe('m.1');
+            expect(requests[0].path).toContain('/me/messages');
+            expect(requests[0].body).toEqual({
+                recipient: { id: 'psid-1' },
+                messaging_type: 'RESPONSE',
+                message: {
+                    attachment: {
+                        type: 'template',
+                        payload: {
+                            template_type: 'button',
+                            text: 'Choose',
+                            buttons: [
+                                { type: 'web_url', url: 'https://example.com', title: 'Docs' },
+                                { type: 'postback', title: 'Help', payload: 'HELP' }
+                            ]
+                        }
+                    }
+                }
+            });
+        });
+
+        it('should send Instagram quick replies and documents as files', async () => {
+            mockGraph();
+            mockGraph();
+
+            await sendMetaMessage('instagram', 'igsid-1', {
+                type: 'quick_replies',
+                text: 'Pick one',
+                replies: [{ title: 'Help', payload: 'HELP' }]
+            });
+            await sendMetaMessage('instagram', 'igsid-1', {
+                type: 'media', mediaType: 'document', url: 'https://example.com/a.pdf'
+            });
+
+            expect(requests[0].body.message).toEqual({
+                text: 'Pick one',
+                quick_replies: [{ content_type: 'text', title: 'Help', payload: 'HELP' }]
+            });
+            expect(requests[1].body.message.attachment).toEqual({
+                type: 'file',
+                payload: { url: 'https://example.com/a.pdf', is_reusable: true }
+            });
+            expect(DeliveryTracker.recordOutbound).toHaveBeenCalledWith('instagram', 'igsid-1', 'm.1', 'media');
+        });
+
+        it('should reject WhatsApp templates', async () => {
+            await expect(sendMetaMessage('facebook', 'psid-1', { type: 'template', templateName: 'ticket_update' }))
+                .rejects.toThrow('Template messages are only supported on WhatsApp');
+        });
+    });
+
+    describe('sendMetaMessage', () => {
+        it('should reject unknown platforms', async () => {
+            await expect(sendMetaMessage(/** @type {any} */ ('telegram'), '1', 'Hello'))
+                .rejects.toThrow('Unsupported Meta platform: telegram');
+        });
+    });
+});
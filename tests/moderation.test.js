@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+import { DynamoDBUtils } from '../src/utils/dynamoDBUtils.js';
+import { recordViolation } from '../src/utils/moderationUtils.js';
+
+describe('Moderation', () => {
+    const conflict = () => Object.assign(new Error('The conditional request failed'), {
+        name: 'ConditionalCheckFailedException'
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('recordViolation', () => {
+        it('should increment the count atomically within an active window', async () => {
+            const updateItem = jest.spyOn(DynamoDBUtils, 'updateItem').mockResolvedValue({ count: 3 });
+
+            await expect(recordViolation('discord', 'user-1', 60 * 60 * 1000)).resolves.toBe(3);
+
+            const params = /** @type {any} */ (updateItem.mock.calls[0][0]);
+            expect(params.Key).toEqual({ id: 'violations_discord_user-1' });
+            expect(params.UpdateExpression).toContain('ADD #count :one');
+            expect(params.ConditionExpression).toBe('#expiresAt > :now');
+            expect(updateItem).toHaveBeenCalledTimes(1);
+        });
+
+        it('should start a new window when there is no active one', async () => {
+            const updateItem = jest.spyOn(DynamoDBUtils, 'updateItem')
+                .mockRejectedValueOnce(conflict())
+                .mockResolvedValueOnce(null);
+
+            await expect(recordViolation('discord', 'user-1', 60 * 60 * 1000)).resolves.toBe(1);
+
+            const params = /** @type {any} */ (updateItem.mock.calls[1][0]);
+            expect(params.UpdateExpression).toContain('#count = :one');
+            expect(params.ConditionExpression).toBe('attribute_not_exists(#expiresAt) OR #expiresAt <= :now');
+            expect(params.ExpressionAttributeValues[':expiresAt'] - params.ExpressionAttributeValues[':now'])
+                .toBeGreaterThanOrEqual(60 * 60 - 1);
+        });
+
+        it('should count a violation whose window was started concurrently', async () => {
+            jest.spyOn(DynamoDBUtils, 'updateItem')
+                .mockRejectedValueOnce(conflict())
+                .mockRejectedValueOnce(conflict())
+                .mockResolvedValueOnce({ count: 2 });
+
+            await expect(recordViolation('discord', 'user-1', 60 * 60 * 1000)).resolves.toBe(2);
+        });
+
+        it('should rethrow other errors', async () => {
+            jest.spyOn(DynamoDBUtils, 'updateItem').mockRejectedValue(new Error('Throughput exceeded'));
+
+            await expect(recordViolation('discord', 'user-1', 60 * 60 * 1000)).rejects.toThrow('Throughput exceeded');
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import { IdempotencyStore } from '../src/utils/idempotencyUtils.js';
+import { createWorkQueue, registerProcessor, processQueueBatch } from '../src/utils/queueUtils.js';
+
+describe('Work Queue', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.EVENT_QUEUE_URL;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    describe('LocalWorkQueue', () => {
+        it('should process events after enqueue returns', async () => {
+            const processor = jest.fn(() => Promise.resolve());
+            registerProcessor('queue_test_ok', processor);
+            const queue = /** @type {any} */ (createWorkQueue());
+
+            await queue.enqueue({ source: 'queue_test_ok', payload: { value: 1 } });
+            expect(processor).not.toHaveBeenCalled();
+
+            await queue.draining;
+            expect(processor).toHaveBeenCalledWith({ value: 1 });
+            expect(queue.deadLetters).toEqual([]);
+        });
+
+        it('should retry failed events and succeed on a later attempt', async () => {
+            const processor = jest.fn()
+                .mockImplementationOnce(() => Promise.reject(new Error('flaky')))
+                .mockImplementation(() => Promise.resolve());
+            registerProcessor('queue_test_flaky', /** @type {any} */ (processor));
+            const queue = /** @type {any} */ (createWorkQueue());
+
+            await queue.enqueue({ source: 'queue_test_flaky', payload: {} });
+            await queue.draining;
+
+            expect(processor).toHaveBeenCalledTimes(2);
+            expect(queue.deadLetters).toEqual([]);
+        });
+
+        it('should dead-letter events after the retry limit', async () => {
+            const processor = jest.fn(() => Promise.reject(new Error('broken')));
+            registerProcessor('queue_test_broken', processor);
+            const queue = /** @type {any} */ (createWorkQueue());
+            const event = { source: 'queue_test_broken', payload: {} };
+
+            await queue.enqueue(event);
+            await queue.draining;
+
+            expect(processor).toHaveBeenCalledTimes(3);
+            expect(queue.deadLetters).toEqual([{
+                event,
+                attempts: 3,
+                error: 'broken',
+                failedAt: expect.any(String)
+            }]);
+        });
+
+        it('should dead-letter events without a processor', async () => {
+            const queue = /** @type {any} */ (createWorkQueue());
+
+            await queue.enqueue({ source: 'queue_test_unknown', payload: {} });
+            await queue.draining;
+
+            expect(queue.deadLetters[0].error).toBe('No processor registered for event source: queue_test_unknown');
+        });
+    });
+
+    describe('processQueueBatch', () => {
+        it('should report only the records that failed', async () => {
+            jest.spyOn(IdempotencyStore, 'claim').mockResolvedValue(true);
+            jest.spyOn(IdempotencyStore, 'release').mockResolvedValue(undefined);
+            registerProcessor('queue_test_batch', (payload) =>
+                payload.fail ? Promise.reject(new Error('boom')) : Promise.resolve()
+            );
+
+            const result = await processQueueBatch([
+                { messageId: 'ok', body: JSON.stringify({ source: 'queue_test_batch', eventId: '1', payload: {} }) },
+                { messageId: 'failed', body: JSON.stringify({ source: 'queue_test_batch', eventId: '2', payload: { fail: true } }) },
+                { messageId: 'unparseable', body: '{not json' },
+                { messageId: 'unknown', body: JSON.stringify({ source: 'queue_test_missing', eventId: '3', payload: {} }) }
+            ]);
+
+            expect(result.batchItemFailures).toEqual([
+                { itemIdentifier: 'failed' },
+                { itemIdentifier: 'unparseable' },
+                { itemIdentifier: 'unknown' }
+            ]);
+        });
+
+        it('should release the claim of a failed record so it can be retried', async () => {
+            jest.spyOn(IdempotencyStore, 'claim').mockResolvedValue(true);
+            const release = jest.spyOn(IdempotencyStore, 'release').mockResolvedValue(undefined);
+            registerProcessor('queue_test_release', () => Promise.reject(new Error('boom')));
+
+            await processQueueBatch([
+                { messageId: 'sqs-1', body: JSON.stringify({ source: 'queue_test_release', eventId: 'evt-1', payload: {} }) }
+            ]);
+
+            expect(release).toHaveBeenCalledWith('queue_queue_test_release', 'evt-1');
+        });
+    });
+});
@@ -24,12 +24,14 @@ process.env = {
     API_KEY: 'test-api-key'
 };
 
-// Mock Discord WebhookClient
+// Mock Discord WebhookClient and REST client
 jest.mock('discord.js', () => ({
+    .../** @type {object} */ (jest.requireActual('discord.js')),
     WebhookClient: jest.fn(() => ({
         send: jest.fn(() => Promise.resolve({ id: 'message-id' })),
         destroy: jest.fn()
-    }))
+    })),
+    REST: jest.fn()
 }));
 
 // Mock Google Cloud Storage
@@ -65,14 +67,15 @@ jest.mock('@aws-sdk/client-dynamodb', () => ({
     }))
 }));
 
-// Mock DynamoDB Document Client
+// Mock DynamoDB Document Client, sharing one send so tests can control
+// what every document client returns
+export const send = jest.fn(() => Promise.resolve(/** @type {any} */ ({
+    Items: [{ id: 'test', data: 'test' }]
+})));
+
 jest.mock('@aws-sdk/lib-dynamodb', () => ({
     DynamoDBDocumentClient: {
-        from: jest.fn(() => ({
-            send: jest.fn(() => Promise.resolve({
-                Items: [{ id: 'test', data: 'test' }]
-            }))
-        }))
+        from: jest.fn(() => ({ send }))
     },
     PutCommand: jest.fn(),
     GetCommand: jest.fn(),
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import { UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { TicketManager } from '../src/utils/ticketUtils.js';
+import { calculateSlaTargets, findNewSlaBreaches } from '../src/utils/slaUtils.js';
+import { send } from './setup.js';
+
+describe('Ticket SLAs', () => {
+    const createdAt = '2026-01-01T00:00:00.000Z';
+    const hour = 60 * 60 * 1000;
+    /** @param {number} hours */
+    const after = hours => new Date(Date.parse(createdAt) + hours * hour);
+
+    /**
+     * @param {Record<string, any>} [fields] - Fields to override
+     * @returns {any}
+     */
+    const ticket = (fields = {}) => ({
+        id: 'TICKET_1',
+        category: 'technical',
+        priority: 'normal',
+        status: 'open',
+        responses: [],
+        createdAt,
+        ...fields
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('calculateSlaTargets', () => {
+        it('should use the first policy matching the category and priority', () => {
+            expect(calculateSlaTargets({ category: 'account', priority: 'high', createdAt })).toEqual({
+                policy: 'account-high',
+                firstResponseDueAt: '2026-01-01T02:00:00.000Z',
+                resolutionDueAt: '2026-01-02T00:00:00.000Z',
+                breaches: []
+            });
+            expect(calculateSlaTargets({ category: 'technical', createdAt }).policy).toBe('default');
+        });
+    });
+
+    describe('findNewSlaBreaches', () => {
+        const sla = calculateSlaTargets({ category: 'technical', createdAt });
+
+        it('should report nothing before the targets are due', () => {
+            expect(findNewSlaBreaches(ticket(), sla, after(23))).toEqual([]);
+        });
+
+        it('should report a missing first response once it is overdue', () => {
+            expect(findNewSlaBreaches(ticket(), sla, after(25))).toEqual(['first_response']);
+        });
+
+        it('should report a late first response but not one in time', () => {
+            /** @param {number} hours */
+            const respondedAfter = hours => ticket({
+                responses: [{ isStaff: true, timestamp: after(hours).toISOString() }]
+            });
+
+            expect(findNewSlaBreaches(respondedAfter(30), sla, after(31))).toEqual(['first_response']);
+            expect(findNewSlaBreaches(respondedAfter(2), sla, after(31))).toEqual([]);
+        });
+
+        it('should report an overdue resolution only for unresolved tickets', () => {
+            const responded = { responses: [{ isStaff: true, timestamp: after(1).toISOString() }] };
+
+            expect(findNewSlaBreaches(ticket(responded), sla, after(121))).toEqual(['resolution']);
+            expect(findNewSlaBreaches(ticket({ ...responded, status: 'resolved' }), sla, after(121))).toEqual([]);
+        });
+
+        it('should not report breaches that were already flagged', () => {
+            expect(findNewSlaBreaches(ticket(), { ...sla, breaches: ['first_response'] }, after(121)))
+                .toEqual(['resolution']);
+        });
+    });
+
+    describe('TicketManager.checkSlaBreaches', () => {
+        it('should flag the breach and raise the priority unless it was already recorded', async () => {
+            const sla = calculateSlaTargets({ category: 'technical', createdAt });
+            jest.spyOn(TicketManager, 'getTicketQueue').mockResolvedValue([ticket({ sla })]);
+
+            const results = await TicketManager.checkSlaBreaches(after(25));
+
+            expect(results).toEqual([expect.objectContaining({ breaches: ['first_response'], priority: 'high' })]);
+            const params = /** @type {any} */ (UpdateCommand).mock.calls.at(-1)[0];
+            expect(params.ConditionExpression).toBe('NOT contains(#sla.#breaches, :breach0)');
+            expect(params.ExpressionAttributeValues).toEqual(expect.objectContaining({
+                ':priority': 'high',
+                ':breach0': 'first_response',
+                ':sla': { ...sla, breaches: ['first_response'] }
+            }));
+        });
+
+        it('should give tickets opened before SLAs existed their targets', async () => {
+            jest.spyOn(TicketManager, 'getTicketQueue').mockResolvedValue([ticket({ priority: 'urgent' })]);
+
+            const [result] = await TicketManager.checkSlaBreaches(after(9));
+
+            expect(result.breaches).toEqual(['first_response', 'resolution']);
+            expect(result.priority).toBe('urgent');
+            expect(/** @type {any} */ (UpdateCommand).mock.calls.at(-1)[0].ExpressionAttributeValues[':sla'].policy)
+                .toBe('urgent');
+        });
+
+        it('should skip tickets another run escalated first', async () => {
+            jest.spyOn(TicketManager, 'getTicketQueue').mockResolvedValue([
+                ticket({ id: 'TICKET_1' }),
+                ticket({ id: 'TICKET_2' })
+            ]);
+            send.mockRejectedValueOnce(Object.assign(new Error('The conditional request failed'), {
+                name: 'ConditionalCheckFailedException'
+            }));
+
+            const results = await TicketManager.checkSlaBreaches(after(25));
+
+            expect(results.map(result => result.ticket.id)).toEqual(['TICKET_2']);
+        });
+
+        it('should rethrow other errors', async () => {
+            jest.spyOn(TicketManager, 'getTicketQueue').mockResolvedValue([ticket()]);
+            send.mockRejectedValueOnce(new Error('Throughput exceeded'));
+
+            await expect(TicketManager.checkSlaBreaches(after(25))).rejects.toThrow('Throughput exceeded');
+        });
+    });
+});
@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import { UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { MockAgent, getGlobalDispatcher, setGlobalDispatcher } from 'undici';
+import { DeliveryTracker } from '../src/utils/deliveryUtils.js';
+import { WhatsAppWindow, toTemplateText } from '../src/utils/whatsappWindowUtils.js';
+import { deliverTicketResponse } from '../src/utils/ticketDeliveryUtils.js';
+import { send } from './setup.js';
+
+describe('Ticket Delivery', () => {
+    const originalDispatcher = getGlobalDispatcher();
+    /** @type {MockAgent} */
+    let agent;
+    /** @type {{ origin: string, path: string, body: Record<string, any> }[]} */
+    let requests;
+
+    /**
+     * Answer the next POST to an API and capture its body
+     * @param {string} origin - API origin
+     * @param {Record<string, any>} response - API response
+     * @param {number} [statusCode] - HTTP status
+     */
+    function mockApi(origin, response, statusCode = 200) {
+        agent.get(origin)
+            .intercept({ path: /.*/, method: 'POST' })
+            .reply(statusCode, (options) => {
+                requests.push({ origin, path: options.path, body: JSON.parse(String(options.body)) });
+                return response;
+            });
+    }
+
+    /**
+     * @param {Record<string, any>} [fields] - Fields to override
+     * @returns {Record<string, any>}
+     */
+    const delivery = (fields = {}) => ({
+        deliveryId: 'TICKET_1_1',
+        ticketId: 'TICKET_1',
+        platform: 'telegram',
+        userId: '42',
+        content: 'We fixed it.',
+        ...fields
+    });
+
+    /** @returns {any} Parameters of the latest delivery record update */
+    const lastRecord = () => /** @type {any} */ (UpdateCommand).mock.calls.at(-1)[0];
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(DeliveryTracker, 'recordOutbound').mockResolvedValue(undefined);
+        send.mockReset();
+        send.mockResolvedValue({});
+        process.env.WHATSAPP_PHONE_NUMBER_ID = '1234';
+        requests = [];
+        agent = new MockAgent();
+        agent.disableNetConnect();
+        setGlobalDispatcher(agent);
+    });
+
+    afterAll(() => {
+        setGlobalDispatcher(originalDispatcher);
+    });
+
+    describe('deliverTicketResponse', () => {
+        it('should message the Telegram user and record the delivery', async () => {
+            mockApi('https://api.telegram.org', { ok: true, result: { message_id: 7 } });
+
+            await deliverTicketResponse(delivery());
+
+            expect(requests[0].body).toEqual({
+                chat_id: '42',
+                text: '💬 Support replied to your ticket #TICKET_1:\n\nWe fixed it.'
+            });
+            const params = lastRecord();
+            expect(params.Key).toEqual({ id: 'ticket_delivery_TICKET_1_1' });
+            expect(params.UpdateExpression).toContain('REMOVE #error');
+            expect(params.ExpressionAttributeValues).toEqual(expect.objectContaining({
+                ':status': 'delivered',
+                ':messageId': '7',
+                ':one': 1
+            }));
+        });
+
+        it('should record a failed attempt and rethrow so the queue retries it', async () => {
+            mockApi('https://api.telegram.org', { ok: false, description: 'Bad Request: chat not found' }, 400);
+
+            await expect(deliverTicketResponse(delivery()))
+                .rejects.toThrow('Telegram API error (400): Bad Request: chat not found');
+
+            const params = lastRecord();
+            expect(params.UpdateExpression).not.toContain('REMOVE');
+            expect(params.ExpressionAttributeValues).toEqual(expect.objectContaining({
+                ':status': 'failed',
+                ':error': 'Telegram API error (400): Bad Request: chat not found',
+                ':one': 1
+            }));
+        });
+
+        it('should not message the user again once a retry has delivered', async () => {
+            send.mockResolvedValueOnce({ Item: { status: 'delivered' } });
+            const updates = /** @type {any} */ (UpdateCommand).mock.calls.length;
+
+            await deliverTicketResponse(delivery());
+
+            expect(requests).toHaveLength(0);
+            expect(/** @type {any} */ (UpdateCommand).mock.calls).toHaveLength(updates);
+        });
+
+        it('should fall back to the ticket_update template once the WhatsApp window has closed', async () => {
+            jest.spyOn(WhatsAppWindow, 'isOpen').mockResolvedValue(false);
+            mockApi('https://graph.facebook.com', { messages: [{ id: 'wamid.1' }] });
+
+            await deliverTicketResponse(delivery({
+                platform: 'whatsapp',
+                userId: '15550001',
+                content: 'Steps:\n1. Log out\n\t2. Log in      again'
+            }));
+
+            expect(requests[0].body.template).toEqual({
+                name: 'ticket_update',
+                language: { code: 'en_US' },
+                components: [{
+                    type: 'body',
+                    parameters: [
+                        { type: 'text', text: 'TICKET_1' },
+                        { type: 'text', text: 'Steps: 1. Log out 2. Log in again' }
+                    ]
+                }]
+            });
+            expect(lastRecord().ExpressionAttributeValues[':messageId']).toBe('wamid.1');
+        });
+
+        it('should tag Messenger responses as human agent messages once the window has closed', async () => {
+            const isOpen = jest.spyOn(WhatsAppWindow, 'isOpen').mockResolvedValue(false);
+            mockApi('https://graph.facebook.com', { message_id: 'm.1' });
+
+            await deliverTicketResponse(delivery({ platform: 'facebook', userId: 'psid-1' }));
+
+            expect(isOpen).toHaveBeenCalledWith('psid-1', 'facebook');
+            expect(requests[0].body).toEqual(expect.objectContaining({
+                messaging_type: 'MESSAGE_TAG',
+                tag: 'HUMAN_AGENT'
+            }));
+        });
+
+        it('should send Instagram responses as replies within the window', async () => {
+            jest.spyOn(WhatsAppWindow, 'isOpen').mockResolvedValue(true);
+            mockApi('https://graph.facebook.com', { message_id: 'm.1' });
+
+            await deliverTicketResponse(delivery({ platform: 'instagram', userId: 'igsid-1' }));
+
+            expect(requests[0].body.messaging_type).toBe('RESPONSE');
+            expect(requests[0].body.tag).toBeUndefined();
+        });
+    });
+
+    describe('toTemplateText', () => {
+        it('should remove newlines, tabs and long runs of spaces', () => {
+            expect(toTemplateText('  Line one\r\n\tLine two     end  ')).toBe('Line one Line two end');
+            expect(toTemplateText('keeps    four')).toBe('keeps    four');
+        });
+    });
+});
@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import { PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBUtils } from '../src/utils/dynamoDBUtils.js';
+import { TicketManager } from '../src/utils/ticketUtils.js';
+import {
+    isValidTransition,
+    getResolvedAt,
+    formatTimeline
+} from '../src/utils/ticketLifecycleUtils.js';
+
+describe('Ticket Lifecycle', () => {
+    const actor = { userId: 'staff-1', platform: 'discord', isStaff: true };
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('isValidTransition', () => {
+        it('should allow moving forward through the lifecycle', () => {
+            expect(isValidTransition('open', 'in_progress')).toBe(true);
+            expect(isValidTransition('in_progress', 'waiting_on_user')).toBe(true);
+            expect(isValidTransition('waiting_on_user', 'resolved')).toBe(true);
+            expect(isValidTransition('resolved', 'closed')).toBe(true);
+        });
+
+        it('should allow reopening resolved and closed tickets', () => {
+            expect(isValidTransition('resolved', 'open')).toBe(true);
+            expect(isValidTransition('closed', 'open')).toBe(true);
+        });
+
+        it('should reject illegal and unknown transitions', () => {
+            expect(isValidTransition('closed', 'resolved')).toBe(false);
+            expect(isValidTransition('in_progress', 'open')).toBe(false);
+            expect(isValidTransition('open', 'open')).toBe(false);
+            expect(isValidTransition('open', 'archived')).toBe(false);
+        });
+    });
+
+    describe('getResolvedAt', () => {
+        it('should use the time the ticket was resolved, not when it was closed', () => {
+            const ticket = /** @type {any} */ ({
+                status: 'closed',
+                updatedAt: '2026-01-03T00:00:00.000Z',
+                history: [
+                    { from: null, to: 'open', timestamp: '2026-01-01T00:00:00.000Z' },
+                    { from: 'open', to: 'resolved', timestamp: '2026-01-02T00:00:00.000Z' },
+                    { from: 'resolved', to: 'closed', timestamp: '2026-01-03T00:00:00.000Z' }
+                ]
+            });
+
+            expect(getResolvedAt(ticket)).toBe('2026-01-02T00:00:00.000Z');
+        });
+
+        it('should return null for unresolved tickets', () => {
+            expect(getResolvedAt(/** @type {any} */ ({ status: 'in_progress', history: [] }))).toBeNull();
+        });
+    });
+
+    describe('formatTimeline', () => {
+        it('should describe each change with its actor and comment', () => {
+            const lines = formatTimeline(/** @type {any} */ ({
+                history: [
+                    { from: null, to: 'open', platform: 'telegram', isStaff: false, timestamp: '2026-01-01T10:00:00.000Z' },
+                    { from: 'open', to: 'in_progress', platform: 'discord', isStaff: true, comment: 'Looking into it', timestamp: '2026-01-01T11:30:00.000Z' }
+                ]
+            }));
+
+            expect(lines).toEqual([
+                '• 2026-01-01 10:00 UTC: Open by user on telegram',
+                '• 2026-01-01 11:30 UTC: Open → In progress by staff on discord (Looking into it)'
+            ]);
+        });
+    });
+
+    describe('TicketManager.createTicket', () => {
+        it('should index new tickets by their creation time', async () => {
+            const ticket = await TicketManager.createTicket({
+                userId: 'user-1',
+                platform: 'telegram',
+                subject: 'Login',
+                description: 'Cannot log in',
+                category: 'technical',
+                metadata: {},
+                status: 'open'
+            });
+
+            expect(ticket.timestamp).toBe(ticket.createdAt);
+            expect(/** @type {any} */ (PutCommand).mock.calls.at(-1)[0].Item).toEqual(expect.objectContaining({
+                type: 'ticket',
+                timestamp: ticket.createdAt
+            }));
+        });
+    });
+
+    describe('TicketManager.getTicketQueue', () => {
+        it('should read every page of the type index, most urgent and oldest first', async () => {
+            const query = jest.spyOn(DynamoDBUtils, 'query').mockResolvedValue([
+                { id: 'TICKET_1', priority: 'normal', createdAt: '2026-01-01T00:00:00.000Z' },
+                { id: 'TICKET_2', priority: 'urgent', createdAt: '2026-01-03T00:00:00.000Z' },
+                { id: 'TICKET_3', priority: 'normal', createdAt: '2025-12-31T00:00:00.000Z' }
+            ]);
+
+            const tickets = await TicketManager.getTicketQueue({ assignee: 'staff-1' });
+
+            const params = /** @type {any} */ (query.mock.calls[0][0]);
+            expect(params.IndexName).toBe('type-timestamp-index');
+            expect(params.ExpressionAttributeValues[':assignee']).toBe('staff-1');
+            expect(tickets.map(ticket => ticket.id)).toEqual(['TICKET_2', 'TICKET_3', 'TICKET_1']);
+        });
+    });
+
+    describe('TicketManager.getResolvedTickets', () => {
+        it('should return resolved and closed tickets, most recently updated first', async () => {
+            const query = jest.spyOn(DynamoDBUtils, 'query').mockResolvedValue([
+                { id: 'TICKET_1', status: 'closed', updatedAt: '2026-01-01T00:00:00.000Z' },
+                { id: 'TICKET_2', status: 'resolved', updatedAt: '2026-01-02T00:00:00.000Z' }
+            ]);
+
+            const tickets = await TicketManager.getResolvedTickets();
+
+            expect(/** @type {any} */ (query.mock.calls[0][0]).FilterExpression).toBe('#status IN (:resolved, :closed)');
+            expect(tickets.map(ticket => ticket.id)).toEqual(['TICKET_2', 'TICKET_1']);
+        });
+    });
+
+    describe('TicketManager.backfillTimestamps', () => {
+        it('should index tickets that have no timestamp by their creation time', async () => {
+            jest.spyOn(DynamoDBUtils, 'scan').mockResolvedValue([
+                { id: 'TICKET_1', createdAt: '2026-01-01T00:00:00.000Z' }
+            ]);
+
+            await expect(TicketManager.backfillTimestamps()).resolves.toBe(1);
+
+            const params = /** @type {any} */ (UpdateCommand).mock.calls.at(-1)[0];
+            expect(params.Key).toEqual({ id: 'TICKET_1' });
+            expect(params.ExpressionAttributeValues).toEqual({
+                ':createdAt': '2026-01-01T00:00:00.000Z',
+                ':type': 'ticket'
+            });
+        });
+    });
+
+    describe('TicketManager.updateStatus', () => {
+        it('should append the change to the history with a conditional update', async () => {
+            jest.spyOn(TicketManager, 'getTicket').mockResolvedValue(/** @type {any} */ ({ id: 'TICKET_1', status: 'open' }));
+
+            const change = await TicketManager.updateStatus('TICKET_1', 'in_progress', actor, 'Looking into it');
+
+            expect(change).toMatchObject({ from: 'open', to: 'in_progress', userId: 'staff-1', comment: 'Looking into it' });
+            const params = /** @type {any} */ (UpdateCommand).mock.calls.at(-1)[0];
+            expect(params.ConditionExpression).toBe('#status = :from');
+            expect(params.ExpressionAttributeValues[':from']).toBe('open');
+            expect(params.ExpressionAttributeValues[':change']).toEqual([change]);
+        });
+
+        it('should reject illegal transitions without writing', async () => {
+            jest.spyOn(TicketManager, 'getTicket').mockResolvedValue(/** @type {any} */ ({ id: 'TICKET_1', status: 'closed' }));
+            const updates = /** @type {any} */ (UpdateCommand).mock.calls.length;
+
+            await expect(TicketManager.updateStatus('TICKET_1', 'resolved', actor))
+                .rejects.toThrow('A ticket cannot move from Closed to Resolved');
+            expect(/** @type {any} */ (UpdateCommand).mock.calls).toHaveLength(updates);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import { DynamoDBUtils } from '../src/utils/dynamoDBUtils.js';
+import {
+    getHeader,
+    getRawBody,
+    verifyMetaSignature,
+    verifyMetaSubscription,
+    verifyTelegramSecret,
+    verifyDiscordSignature,
+    rejectRequest
+} from '../src/utils/webhookAuthUtils.js';
+
+describe('Webhook Authentication', () => {
+    const appSecret = 'test-app-secret';
+    const body = JSON.stringify({ object: 'page', entry: [] });
+    const signature = `sha256=${createHmac('sha256', appSecret).update(body).digest('hex')}`;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        process.env.META_VERIFY_TOKEN = 'verify-token';
+        process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-secret';
+    });
+
+    describe('verifyMetaSignature', () => {
+        it('should accept a valid signature', () => {
+            expect(verifyMetaSignature(body, signature, appSecret)).toBe(true);
+        });
+
+        it('should reject a tampered body', () => {
+            expect(verifyMetaSignature(`${body} `, signature, appSecret)).toBe(false);
+        });
+
+        it('should reject a missing signature or secret', () => {
+            expect(verifyMetaSignature(body, '', appSecret)).toBe(false);
+            expect(verifyMetaSignature(body, signature, undefined)).toBe(false);
+        });
+    });
+
+    describe('verifyMetaSubscription', () => {
+        it('should accept the configured verify token', () => {
+            expect(verifyMetaSubscription({
+                'hub.mode': 'subscribe',
+                'hub.verify_token': 'verify-token',
+                'hub.challenge': '123'
+            })).toBe(true);
+        });
+
+        it('should reject a wrong verify token', () => {
+            expect(verifyMetaSubscription({
+                'hub.mode': 'subscribe',
+                'hub.verify_token': 'wrong-token'
+            })).toBe(false);
+        });
+    });
+
+    describe('verifyTelegramSecret', () => {
+        it('should match the secret header case-insensitively', () => {
+            expect(verifyTelegramSecret({ 'x-telegram-bot-api-secret-token': 'telegram-secret' })).toBe(true);
+            expect(verifyTelegramSecret({ 'X-Telegram-Bot-Api-Secret-Token': 'telegram-secret' })).toBe(true);
+        });
+
+        it('should reject when the secret is not configured', () => {
+            delete process.env.TELEGRAM_WEBHOOK_SECRET;
+            expect(verifyTelegramSecret({ 'x-telegram-bot-api-secret-token': '' })).toBe(false);
+        });
+    });
+
+    describe('verifyDiscordSignature', () => {
+        const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+        // Raw key as shown in the Discord developer portal
+        const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+        const timestamp = '1700000000';
+        const discordSignature = sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+
+        it('should accept a valid signature', () => {
+            expect(verifyDiscordSignature(body, discordSignature, timestamp, publicKeyHex)).toBe(true);
+        });
+
+        it('should reject a tampered body or timestamp', () => {
+            expect(verifyDiscordSignature(`${body} `, discordSignature, timestamp, publicKeyHex)).toBe(false);
+            expect(verifyDiscordSignature(body, discordSignature, '1700000001', publicKeyHex)).toBe(false);
+        });
+
+        it('should reject malformed signatures and missing keys', () => {
+            expect(verifyDiscordSignature(body, 'not-hex', timestamp, publicKeyHex)).toBe(false);
+            expect(verifyDiscordSignature(body, discordSignature, timestamp, undefined)).toBe(false);
+        });
+    });
+
+    describe('helpers', () => {
+        it('should decode base64 encoded bodies', () => {
+            expect(getRawBody({
+                body: Buffer.from(body).toString('base64'),
+                isBase64Encoded: true,
+                headers: {},
+                queryStringParameters: {},
+                httpMethod: 'POST'
+            })).toBe(body);
+        });
+
+        it('should read headers regardless of casing', () => {
+            expect(getHeader({ 'X-Hub-Signature-256': signature }, 'x-hub-signature-256')).toBe(signature);
+            expect(getHeader(undefined, 'x-hub-signature-256')).toBe('');
+        });
+    });
+
+    describe('rejectRequest', () => {
+        it('should record the attempt and return 401', async () => {
+            const putItem = jest.spyOn(DynamoDBUtils, 'putItem').mockResolvedValue(undefined);
+
+            const response = await rejectRequest('meta', 'Invalid signature', {
+                body,
+                headers: { 'User-Agent': 'probe' },
+                queryStringParameters: {},
+                httpMethod: 'POST'
+            });
+
+            expect(response.statusCode).toBe(401);
+            expect(putItem).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({
+                    type: 'webhook_rejected',
+                    targetPlatform: 'meta',
+                    reason: 'Invalid signature',
+                    userAgent: 'probe'
+                })
+            }));
+        });
+
+        it('should record repeated rejections from the same source only once', async () => {
+            const putItem = jest.spyOn(DynamoDBUtils, 'putItem').mockResolvedValue(undefined);
+            const probe = {
+                body,
+                headers: {},
+                queryStringParameters: {},
+                httpMethod: 'POST',
+                requestContext: { identity: { sourceIp: '203.0.113.7' } }
+            };
+
+            const responses = await Promise.all([1, 2, 3].map(() => rejectRequest('telegram', 'Invalid secret token', probe)));
+
+            expect(responses.map(response => response.statusCode)).toEqual([401, 401, 401]);
+            expect(putItem).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import { GetCommand } from '@aws-sdk/lib-dynamodb';
+import {
+    WhatsAppWindow,
+    buildTemplateMessage,
+    toTemplateFallback
+} from '../src/utils/whatsappWindowUtils.js';
+
+describe('WhatsApp Customer Service Window', () => {
+    const hour = 60 * 60 * 1000;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('isOpen', () => {
+        it('should be open within 24 hours of the last inbound message', async () => {
+            jest.spyOn(WhatsAppWindow, 'getLastInbound')
+                .mockResolvedValue(new Date(Date.now() - 23 * hour).toISOString());
+
+            await expect(WhatsAppWindow.isOpen('15550001')).resolves.toBe(true);
+        });
+
+        it('should be closed after 24 hours', async () => {
+            jest.spyOn(WhatsAppWindow, 'getLastInbound')
+                .mockResolvedValue(new Date(Date.now() - 25 * hour).toISOString());
+
+            await expect(WhatsAppWindow.isOpen('15550001')).resolves.toBe(false);
+        });
+
+        it('should be closed for users who never wrote to us', async () => {
+            jest.spyOn(WhatsAppWindow, 'getLastInbound').mockResolvedValue(null);
+
+            await expect(WhatsAppWindow.isOpen('15550001')).resolves.toBe(false);
+        });
+
+        it('should track Messenger and Instagram windows under their own keys', async () => {
+            await WhatsAppWindow.isOpen('psid-1', 'facebook');
+
+            expect(/** @type {any} */ (GetCommand).mock.calls.at(-1)[0].Key).toEqual({ id: 'facebook_window_psid-1' });
+        });
+    });
+
+    describe('buildTemplateMessage', () => {
+        it('should map parameters to the body component in registry order', () => {
+            expect(buildTemplateMessage('ticket_update', { message: 'Fixed', ticket_id: 'TICKET_1' })).toEqual({
+                type: 'template',
+                templateName: 'ticket_update',
+                language: 'en_US',
+                components: [{
+                    type: 'body',
+                    parameters: [
+                        { type: 'text', text: 'TICKET_1' },
+                        { type: 'text', text: 'Fixed' }
+                    ]
+                }]
+            });
+        });
+
+        it('should reject unknown templates and missing parameters', () => {
+            expect(() => buildTemplateMessage('unknown', {})).toThrow('Unknown WhatsApp template: unknown');
+            expect(() => buildTemplateMessage('ticket_update', { message: 'Fixed' }))
+                .toThrow('Missing parameters for WhatsApp template ticket_update: ticket_id');
+        });
+    });
+
+    describe('toTemplateFallback', () => {
+        it('should carry the message text in the default template', () => {
+            const fallback = toTemplateFallback('15550001', { type: 'text', text: 'Are you still there?' });
+
+            expect(fallback.templateName).toBe('conversation_followup');
+            expect(fallback.components).toEqual([{
+                type: 'body',
+                parameters: [{ type: 'text', text: 'Are you still there?' }]
+            }]);
+        });
+
+        it('should prefer the fallback template named by the message', () => {
+            const fallback = toTemplateFallback('15550001', {
+                type: 'text',
+                text: 'Long reply',
+                fallbackTemplate: { name: 'ticket_update', parameters: { ticket_id: 'TICKET_1', message: 'Short reply' } }
+            });
+
+            expect(fallback.templateName).toBe('ticket_update');
+        });
+
+        it('should explain why a message cannot be sent when no template fits', () => {
+            expect(() => toTemplateFallback('15550001', { type: 'media', mediaType: 'image', url: 'https://example.com/a.png' }))
+                .toThrow('Cannot message WhatsApp user 15550001: the 24-hour customer service window has closed');
+        });
+    });
+});